@@ -0,0 +1,48 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const errors = require('./errors');
+
+type Listener = (error: Error) => void
+
+// aborts the calls that it is passed to as options.cancellationToken: a call
+// stops making requests once the token is cancelled, and rejects with the
+// error that the token was cancelled with
+function CancellationToken() {
+  this._error = undefined;
+  this._listeners = [];
+}
+
+CancellationToken.prototype.cancel = function(error?: Error): void {
+  if (this._error !== undefined) {
+    return;
+  }
+  this._error = error || new errors.CancelledError('Request was cancelled');
+  const listeners = this._listeners;
+  this._listeners = [];
+  listeners.forEach(listener => listener(this._error));
+};
+
+CancellationToken.prototype.isCancelled = function(): boolean {
+  return this._error !== undefined;
+};
+
+CancellationToken.prototype.getError = function(): ?Error {
+  return this._error;
+};
+
+// the listener is called right away if the token is already cancelled;
+// the returned function removes the listener
+CancellationToken.prototype.onCancel = function(listener: Listener
+): () => void {
+  if (this._error !== undefined) {
+    listener(this._error);
+    return _.noop;
+  }
+  this._listeners.push(listener);
+  return () => {
+    _.pull(this._listeners, listener);
+  };
+};
+
+module.exports = CancellationToken;
@@ -42,6 +42,16 @@ function TransactionError(message) {
 TransactionError.prototype = new RippleError();
 TransactionError.prototype.name = 'TransactionError';
 
+/**
+ * Transaction was not included in any ledger up to and including its
+ * LastLedgerSequence, so it can never be validated
+ */
+function TransactionExpiredError(message) {
+  this.message = message;
+}
+TransactionExpiredError.prototype = new TransactionError();
+TransactionExpiredError.prototype.name = 'TransactionExpiredError';
+
 /**
  * Asset could not be found
  */
@@ -67,6 +77,24 @@ function TimeOutError(message) {
 TimeOutError.prototype = new RippleError();
 TimeOutError.prototype.name = 'TimeOutError';
 
+/**
+ * Request was cancelled with a CancellationToken
+ */
+function CancelledError(message) {
+  this.message = message;
+}
+CancelledError.prototype = new RippleError();
+CancelledError.prototype.name = 'CancelledError';
+
+/**
+ * The server does not support the operation
+ */
+function NotSupportedError(message) {
+  this.message = message;
+}
+NotSupportedError.prototype = new RippleError();
+NotSupportedError.prototype.name = 'NotSupportedError';
+
 /**
  * API logic failed to do what it intended
  */
@@ -80,10 +108,13 @@ module.exports = {
   ValidationError,
   NetworkError,
   TransactionError,
+  TransactionExpiredError,
   RippledNetworkError,
   NotFoundError,
   MissingLedgerHistoryError,
   TimeOutError,
+  CancelledError,
+  NotSupportedError,
   ApiError,
   RippleError
 };
@@ -14,7 +14,13 @@ module.exports = {
   wrapCatch: utils.wrapCatch,
   convertErrors: utils.convertErrors,
   convertExceptions: utils.convertExceptions,
+  checkSubscriptionsSupported: utils.checkSubscriptionsSupported,
+  emitError: utils.emitError,
   convertKeysFromSnakeCaseToCamelCase:
     utils.convertKeysFromSnakeCaseToCamelCase,
-  promisify: utils.promisify
+  promisify: utils.promisify,
+  promisifyWithTimeout: utils.promisifyWithTimeout,
+  promisifyWithOptions: utils.promisifyWithOptions,
+  setCancellationToken: utils.setCancellationToken,
+  CancellationToken: require('./cancellation-token')
 };
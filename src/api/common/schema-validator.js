@@ -22,21 +22,44 @@ function isValidLedgerHash(ledgerHash) {
 function loadSchemas() {
   // listed explicitly for webpack (instead of scanning schemas directory)
   const schemas = [
+    require('./schemas/account-objects-options.json'),
     require('./schemas/address.json'),
+    require('./schemas/addresses.json'),
     require('./schemas/adjustment.json'),
+    require('./schemas/amendment-transaction.json'),
+    require('./schemas/amendment.json'),
     require('./schemas/amount.json'),
     require('./schemas/amountbase.json'),
     require('./schemas/balance.json'),
     require('./schemas/blob.json'),
+    require('./schemas/call-options.json'),
+    require('./schemas/cancellation-token.json'),
+    require('./schemas/combine.json'),
     require('./schemas/currency.json'),
+    require('./schemas/encode.json'),
+    require('./schemas/escrow-cancellation-transaction.json'),
+    require('./schemas/escrow-cancellation.json'),
+    require('./schemas/escrow-creation-transaction.json'),
+    require('./schemas/escrow-creation.json'),
+    require('./schemas/escrow-execution-transaction.json'),
+    require('./schemas/escrow-execution.json'),
+    require('./schemas/fee-update-transaction.json'),
+    require('./schemas/fee-update.json'),
     require('./schemas/get-account-info.json'),
+    require('./schemas/get-account-objects.json'),
     require('./schemas/get-balances.json'),
+    require('./schemas/get-connected-servers.json'),
+    require('./schemas/get-fee-estimate.json'),
     require('./schemas/get-ledger.json'),
+    require('./schemas/get-order-quote.json'),
+    require('./schemas/get-orderbook-depth.json'),
     require('./schemas/get-orderbook.json'),
     require('./schemas/get-orders.json'),
     require('./schemas/get-paths.json'),
+    require('./schemas/get-payment-channel.json'),
     require('./schemas/get-server-info.json'),
     require('./schemas/get-settings.json'),
+    require('./schemas/get-tickets.json'),
     require('./schemas/get-transaction.json'),
     require('./schemas/get-transactions.json'),
     require('./schemas/get-trustlines.json'),
@@ -44,40 +67,66 @@ function loadSchemas() {
     require('./schemas/hash256.json'),
     require('./schemas/instructions.json'),
     require('./schemas/issue.json'),
+    require('./schemas/ledger-closed.json'),
     require('./schemas/ledger-options.json'),
     require('./schemas/ledgerversion.json'),
     require('./schemas/max-adjustment.json'),
     require('./schemas/memo.json'),
     require('./schemas/order-cancellation-transaction.json'),
     require('./schemas/order-cancellation.json'),
+    require('./schemas/order-quote-options.json'),
     require('./schemas/order-change.json'),
     require('./schemas/order-transaction.json'),
     require('./schemas/order.json'),
+    require('./schemas/orderbook-depth-levels.json'),
+    require('./schemas/orderbook-depth-options.json'),
+    require('./schemas/orderbook-options.json'),
     require('./schemas/orderbook-orders.json'),
     require('./schemas/orderbook.json'),
     require('./schemas/orders-options.json'),
     require('./schemas/outcome.json'),
     require('./schemas/pathfind.json'),
+    require('./schemas/payment-channel-claim-transaction.json'),
+    require('./schemas/payment-channel-claim.json'),
+    require('./schemas/payment-channel-create-transaction.json'),
+    require('./schemas/payment-channel-create.json'),
+    require('./schemas/payment-channel-fund-transaction.json'),
+    require('./schemas/payment-channel-fund.json'),
     require('./schemas/payment-transaction.json'),
     require('./schemas/payment.json'),
+    require('./schemas/public-key.json'),
     require('./schemas/quality.json'),
     require('./schemas/remote-options.json'),
     require('./schemas/sequence.json'),
     require('./schemas/settings-options.json'),
     require('./schemas/settings-transaction.json'),
     require('./schemas/settings.json'),
+    require('./schemas/sign-options.json'),
+    require('./schemas/sign-payment-channel-claim.json'),
     require('./schemas/sign.json'),
     require('./schemas/signed-value.json'),
+    require('./schemas/signer-list-transaction.json'),
+    require('./schemas/signer-list.json'),
     require('./schemas/submit.json'),
+    require('./schemas/ticket-cancel-transaction.json'),
+    require('./schemas/ticket-cancel.json'),
+    require('./schemas/ticket-count.json'),
+    require('./schemas/ticket-create-transaction.json'),
+    require('./schemas/ticket-create.json'),
+    require('./schemas/timeout.json'),
     require('./schemas/timestamp.json'),
     require('./schemas/transaction-options.json'),
+    require('./schemas/transaction-proof.json'),
     require('./schemas/transactions-options.json'),
     require('./schemas/trustline-transaction.json'),
     require('./schemas/trustline.json'),
     require('./schemas/trustlines-options.json'),
     require('./schemas/tx.json'),
     require('./schemas/uint32.json'),
+    require('./schemas/unknown-transaction.json'),
+    require('./schemas/unknown.json'),
     require('./schemas/value.json'),
+    require('./schemas/verify-transaction.json'),
     require('./schemas/prepare.json')
   ];
   const titles = _.map(schemas, schema => schema.title);
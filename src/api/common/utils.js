@@ -4,6 +4,7 @@ const _ = require('lodash');
 const BigNumber = require('bignumber.js');
 const core = require('../../core');
 const errors = require('./errors');
+const CancellationToken = require('./cancellation-token');
 const es6promisify = require('es6-promisify');
 const keypairs = require('ripple-keypairs');
 
@@ -76,6 +77,25 @@ function convertErrors(callback: () => void): () => void {
   };
 }
 
+// a JSON-RPC server cannot push messages, so a subscription would never
+// deliver anything
+function checkSubscriptionsSupported(remote: Object): void {
+  const server = remote.getServer();
+  if (server && !server.supportsSubscriptions()) {
+    throw new errors.NotSupportedError(
+      'Subscriptions are not supported over JSON-RPC');
+  }
+}
+
+// EventEmitter throws on an 'error' event that nobody listens to, so a
+// stream message that cannot be parsed is only reported to apps that listen
+// for errors instead of crashing the others
+function emitError(emitter: Object, error: Error): void {
+  if (emitter.listeners('error').length > 0) {
+    emitter.emit('error', error);
+  }
+}
+
 function convertExceptions<T>(f: () => T): () => T {
   return function() {
     try {
@@ -106,6 +126,104 @@ function promisify(asyncFunction: AsyncFunction): Function {
   return es6promisify(wrapCatch(asyncFunction));
 }
 
+// calls a method of RippleAPI with the arguments for the call's own
+// cancellation token, which is cancelled with a TimeOutError once the
+// timeout (or else the API's timeout) has passed, or with the caller's
+// error once the caller's token is cancelled; the call rejects with that error
+function callWithCancellation(api: Object, asyncFunction: AsyncFunction,
+    getArguments: (token: CancellationToken) => Array<any>, timeout?: number,
+    cancellationToken?: CancellationToken
+): Promise<any> {
+  const token = new CancellationToken();
+  const duration = timeout !== undefined ? timeout : api._timeout;
+  const timer = duration === undefined ? undefined : setTimeout(() => {
+    token.cancel(new errors.TimeOutError(
+      'Request timed out after ' + duration + 'ms'));
+  }, duration);
+  const removeListener = cancellationToken instanceof CancellationToken ?
+    cancellationToken.onCancel(error => token.cancel(error)) : _.noop;
+  function cleanup() {
+    clearTimeout(timer);
+    removeListener();
+  }
+
+  return new Promise((resolve, reject) => {
+    token.onCancel(reject);
+    if (!token.isCancelled()) {
+      promisify(asyncFunction).apply(api, getArguments(token))
+        .then(resolve, reject);
+    }
+  }).then(result => {
+    cleanup();
+    return result;
+  }, error => {
+    cleanup();
+    throw error;
+  });
+}
+
+// cancels the request once the call that sends it is cancelled or has timed
+// out, so that the server stops waiting for its response
+function setCancellationToken(request: Object,
+    cancellationToken?: CancellationToken
+): Object {
+  if (cancellationToken !== undefined) {
+    cancellationToken.onCancel(() => request.cancel());
+  }
+  return request;
+}
+
+function isInvalidCancellationToken(options: Object): boolean {
+  return options.cancellationToken !== undefined
+    && !(options.cancellationToken instanceof CancellationToken);
+}
+
+function rejectInvalidCancellationToken(): Promise<any> {
+  return Promise.reject(new errors.ValidationError(
+    'options.cancellationToken must be a CancellationToken'));
+}
+
+// like promisify, but the call fails with a TimeOutError after the
+// API's timeout; the last argument, which is the method's options or
+// instructions, may override the timeout and carry a token that cancels the
+// call; the method gets the call's own token as the argument before
+// its callback so that it can cancel the requests it sends
+function promisifyWithTimeout(asyncFunction: AsyncFunction): Function {
+  return function(...args) {
+    const options = _.last(args);
+    const getArguments = token => args.concat(token);
+    if (!_.isPlainObject(options)) {
+      // leave it to the method to reject the invalid options
+      return callWithCancellation(this, asyncFunction, getArguments);
+    }
+    if (isInvalidCancellationToken(options)) {
+      return rejectInvalidCancellationToken();
+    }
+    return callWithCancellation(this, asyncFunction, getArguments,
+      options.timeout, options.cancellationToken);
+  };
+}
+
+// like promisifyWithTimeout, for a method whose last argument is its options,
+// which may override the timeout and carry a token that cancels the call;
+// the method gets the call's own token as options.cancellationToken so that
+// it can stop making requests once the call has failed
+function promisifyWithOptions(asyncFunction: AsyncFunction): Function {
+  return function(...args) {
+    const options = _.last(args);
+    if (!_.isPlainObject(options)) {
+      // leave it to the method to reject the invalid options
+      return callWithCancellation(this, asyncFunction, () => args);
+    }
+    if (isInvalidCancellationToken(options)) {
+      return rejectInvalidCancellationToken();
+    }
+    return callWithCancellation(this, asyncFunction, token =>
+      _.initial(args).concat(_.assign({}, options, {cancellationToken: token})),
+      options.timeout, options.cancellationToken);
+  };
+}
+
 module.exports = {
   core,
   dropsToXrp,
@@ -116,6 +234,11 @@ module.exports = {
   wrapCatch,
   convertExceptions,
   convertErrors,
+  checkSubscriptionsSupported,
+  emitError,
   convertKeysFromSnakeCaseToCamelCase,
-  promisify
+  promisify,
+  promisifyWithTimeout,
+  promisifyWithOptions,
+  setCancellationToken
 };
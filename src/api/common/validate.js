@@ -36,6 +36,31 @@ function validateSecret(secret: string): void {
   }
 }
 
+function validatePathfind(pathfind) {
+  schemaValidate('pathfind', pathfind);
+  const hasSourceAmount = pathfind.source.amount !== undefined;
+  const hasDestinationValue = pathfind.destination.amount.value !== undefined;
+  if (hasSourceAmount && hasDestinationValue) {
+    throw error('Cannot specify both source.amount and'
+      + ' destination.amount.value');
+  }
+  if (!hasSourceAmount && !hasDestinationValue) {
+    throw error('destination.amount.value is required unless source.amount'
+      + ' is specified');
+  }
+  if (hasSourceAmount && pathfind.source.currencies !== undefined) {
+    throw error('Cannot specify both source.amount and source.currencies');
+  }
+  if (pathfind.slippage !== undefined) {
+    if (!hasSourceAmount) {
+      throw error('slippage can only be specified with source.amount');
+    }
+    if (Number(pathfind.slippage) >= 1) {
+      throw error('slippage must be less than 1');
+    }
+  }
+}
+
 function validateLedgerRange(options) {
   if (!_.isUndefined(options.minLedgerVersion)
       && !_.isUndefined(options.maxLedgerVersion)) {
@@ -50,32 +75,63 @@ function validateOptions(schema, options) {
   validateLedgerRange(options);
 }
 
+function validateOrderbookDepthOptions(options) {
+  validateOptions('orderbook-depth-options', options);
+  if (options.tickSize !== undefined && Number(options.tickSize) === 0) {
+    throw error('tickSize must be greater than zero');
+  }
+}
+
 module.exports = {
   address: _.partial(schemaValidate, 'address'),
+  addresses: _.partial(schemaValidate, 'addresses'),
   addressAndSecret: validateAddressAndSecret,
   secret: validateSecret,
   currency: _.partial(schemaValidate, 'currency'),
   identifier: _.partial(schemaValidate, 'hash256'),
   ledgerVersion: _.partial(schemaValidate, 'ledgerVersion'),
   sequence: _.partial(schemaValidate, 'sequence'),
+  escrowCreation: _.partial(schemaValidate, 'escrowCreation'),
+  escrowExecution: _.partial(schemaValidate, 'escrowExecution'),
+  escrowCancellation: _.partial(schemaValidate, 'escrowCancellation'),
   order: _.partial(schemaValidate, 'order'),
   orderbook: _.partial(schemaValidate, 'orderbook'),
   payment: _.partial(schemaValidate, 'payment'),
-  pathfind: _.partial(schemaValidate, 'pathfind'),
+  paymentChannelCreate: _.partial(schemaValidate, 'paymentChannelCreate'),
+  paymentChannelFund: _.partial(schemaValidate, 'paymentChannelFund'),
+  paymentChannelClaim: _.partial(schemaValidate, 'paymentChannelClaim'),
+  publicKey: _.partial(schemaValidate, 'publicKey'),
+  paymentChannelClaimSignature:
+    _.partial(schemaValidate, 'signPaymentChannelClaim'),
+  pathfind: validatePathfind,
   settings: _.partial(schemaValidate, 'settings'),
+  signerList: _.partial(schemaValidate, 'signerList'),
+  ticketCount: _.partial(schemaValidate, 'ticketCount'),
   trustline: _.partial(schemaValidate, 'trustline'),
   txJSON: _.partial(schemaValidate, 'tx'),
+  ledgerHeader: _.partial(schemaValidate, 'getLedger'),
+  transactionProof: _.partial(schemaValidate, 'transactionProof'),
   blob: _.partial(schemaValidate, 'blob'),
+  encode: _.partial(schemaValidate, 'encode'),
+  blobs: _.partial(schemaValidate, 'combine'),
+  value: _.partial(schemaValidate, 'value'),
   getTransactionsOptions: _.partial(validateOptions, 'transactions-options'),
   getSettingsOptions: _.partial(validateOptions, 'settings-options'),
   getAccountInfoOptions: _.partial(validateOptions, 'settings-options'),
+  getTicketsOptions: _.partial(validateOptions, 'settings-options'),
+  getAccountObjectsOptions: _.partial(validateOptions,
+    'account-objects-options'),
   getTrustlinesOptions: _.partial(validateOptions, 'trustlines-options'),
   getBalancesOptions: _.partial(validateOptions, 'trustlines-options'),
   getOrdersOptions: _.partial(validateOptions, 'orders-options'),
-  getOrderbookOptions: _.partial(validateOptions, 'orders-options'),
+  getOrderbookOptions: _.partial(validateOptions, 'orderbook-options'),
+  getOrderbookDepthOptions: validateOrderbookDepthOptions,
+  getOrderQuoteOptions: _.partial(validateOptions, 'order-quote-options'),
   getTransactionOptions: _.partial(validateOptions, 'transaction-options'),
   getLedgerOptions: _.partial(validateOptions, 'ledger-options'),
   options: _.partial(validateOptions, 'options'),
+  callOptions: _.partial(schemaValidate, 'call-options'),
+  signOptions: _.partial(schemaValidate, 'sign-options'),
   remoteOptions: _.partial(schemaValidate, 'remote-options'),
   instructions: _.partial(schemaValidate, 'instructions')
 };
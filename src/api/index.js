@@ -2,59 +2,139 @@
 
 'use strict';
 const _ = require('lodash');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
 const common = require('./common');
 const server = require('./server/server');
+const subscriptions = require('./server/subscriptions');
+const orderbookSubscription = require('./server/orderbooksubscription');
 const connect = server.connect;
 const disconnect = server.disconnect;
 const getServerInfo = server.getServerInfo;
 const getFee = server.getFee;
+const getFeeEstimate = server.getFeeEstimate;
+const getConnectedServers = server.getConnectedServers;
 const isConnected = server.isConnected;
 const getLedgerVersion = server.getLedgerVersion;
+const subscribeAccounts = subscriptions.subscribeAccounts;
+const unsubscribeAccounts = subscriptions.unsubscribeAccounts;
+const subscribeOrderbook = orderbookSubscription.subscribeOrderbook;
+const unsubscribeOrderbook = orderbookSubscription.unsubscribeOrderbook;
 const getTransaction = require('./ledger/transaction');
 const getTransactions = require('./ledger/transactions');
 const getTrustlines = require('./ledger/trustlines');
 const getBalances = require('./ledger/balances');
-const getPaths = require('./ledger/pathfind');
+const pathfind = require('./ledger/pathfind');
+const getPaths = pathfind.getPaths;
+const watchPaths = pathfind.watchPaths;
 const getOrders = require('./ledger/orders');
 const getOrderbook = require('./ledger/orderbook');
+const getOrderbookDepth = require('./ledger/orderbookdepth');
+const getOrderQuote = require('./ledger/orderquote');
 const getSettings = require('./ledger/settings');
 const getAccountInfo = require('./ledger/accountinfo');
+const getPaymentChannel = require('./ledger/paymentchannel');
+const getTickets = require('./ledger/tickets');
+const getAccountObjects = require('./ledger/accountobjects');
 const preparePayment = require('./transaction/payment');
 const prepareTrustline = require('./transaction/trustline');
 const prepareOrder = require('./transaction/order');
 const prepareOrderCancellation = require('./transaction/ordercancellation');
 const prepareSettings = require('./transaction/settings');
+const prepareEscrowCreate = require('./transaction/escrowcreation');
+const prepareEscrowFinish = require('./transaction/escrowexecution');
+const prepareEscrowCancel = require('./transaction/escrowcancellation');
+const preparePaymentChannelCreate =
+  require('./transaction/paymentchannelcreate');
+const preparePaymentChannelFund = require('./transaction/paymentchannelfund');
+const preparePaymentChannelClaim =
+  require('./transaction/paymentchannelclaim');
+const prepareSignerList = require('./transaction/signerlist');
+const prepareTicketCreate = require('./transaction/ticketcreate');
+const prepareTicketCancel = require('./transaction/ticketcancel');
 const sign = require('./transaction/sign');
+const combine = require('./transaction/combine');
+const verifyTransaction = require('./transaction/verify');
 const submit = require('./transaction/submit');
+const submitAndWait = require('./transaction/submitandwait');
 const errors = require('./common').errors;
 const convertExceptions = require('./common').convertExceptions;
 const generateAddress = convertExceptions(common.generateAddress);
 const computeLedgerHash = require('./offline/ledgerhash');
+const paymentChannelClaim = require('./offline/paymentchannelclaim');
+const signPaymentChannelClaim = paymentChannelClaim.signPaymentChannelClaim;
+const verifyPaymentChannelClaim =
+  paymentChannelClaim.verifyPaymentChannelClaim;
+const binaryCodec = require('./offline/binarycodec');
+const verifyTransactionProof = require('./offline/transactionproof');
 const getLedger = require('./ledger/ledger');
 
+function getRemoteOptions(options: Object = {}): Object {
+  return _.assign(_.omit({
+    trace: options.trace,
+    servers: options.servers,
+    server_selection: options.serverSelection,
+    max_ledger_lag: options.maxLedgerLag,
+    max_latency: options.maxLatency,
+    proxy: options.proxy,
+    proxy_authorization: options.proxyAuthorization,
+    authorization: options.authorization,
+    trusted_certificates: options.trustedCertificates,
+    key: options.key,
+    certificate: options.certificate,
+    passphrase: options.passphrase
+  }, _.isUndefined), {automatic_resubmission: false});
+}
+
 function RippleAPI(options: {}) {
   common.validate.remoteOptions(options);
-  const _options = _.assign({}, options, {automatic_resubmission: false});
-  this.remote = new common.core.Remote(_options);
+  EventEmitter.call(this);
+  this.remote = new common.core.Remote(getRemoteOptions(options));
+  this._timeout = options ? options.timeout : undefined;
+  this._subscribedAccounts = {};
+  this._orderbookSubscriptions = [];
+  this._pathWatchers = [];
+
+  this.remote.on('ledger_closed', message => {
+    this.emit('ledger', server.formatLedgerClose(message));
+  });
+  this.remote.on('transaction_received',
+    subscriptions.handleTransaction.bind(this));
+  this.remote.on('prepare_subscribe',
+    subscriptions.handlePrepareSubscribe.bind(this));
 }
 
-RippleAPI.prototype = {
+util.inherits(RippleAPI, EventEmitter);
+
+_.assign(RippleAPI.prototype, {
   connect,
   disconnect,
   isConnected,
   getServerInfo,
   getFee,
+  getFeeEstimate,
+  getConnectedServers,
   getLedgerVersion,
+  subscribeAccounts,
+  unsubscribeAccounts,
+  subscribeOrderbook,
+  unsubscribeOrderbook,
 
   getTransaction,
   getTransactions,
   getTrustlines,
   getBalances,
   getPaths,
+  watchPaths,
   getOrders,
   getOrderbook,
+  getOrderbookDepth,
+  getOrderQuote,
   getSettings,
   getAccountInfo,
+  getPaymentChannel,
+  getTickets,
+  getAccountObjects,
   getLedger,
 
   preparePayment,
@@ -62,12 +142,31 @@ RippleAPI.prototype = {
   prepareOrder,
   prepareOrderCancellation,
   prepareSettings,
+  prepareEscrowCreate,
+  prepareEscrowFinish,
+  prepareEscrowCancel,
+  preparePaymentChannelCreate,
+  preparePaymentChannelFund,
+  preparePaymentChannelClaim,
+  prepareSignerList,
+  prepareTicketCreate,
+  prepareTicketCancel,
   sign,
+  combine,
+  verifyTransaction,
   submit,
+  submitAndWait,
 
+  encode: binaryCodec.encode,
+  decode: binaryCodec.decode,
+  encodeForSigning: binaryCodec.encodeForSigning,
+  encodeForMultisigning: binaryCodec.encodeForMultisigning,
   generateAddress,
+  signPaymentChannelClaim,
+  verifyPaymentChannelClaim,
+  verifyTransactionProof,
   errors
-};
+});
 
 // these are exposed only for use by unit tests; they are not part of the API
 RippleAPI._PRIVATE = {
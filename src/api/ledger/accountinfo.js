@@ -66,13 +66,15 @@ function getAccountInfoAsync(account: string, options: AccountInfoOptions,
     ledger: options.ledgerVersion || 'validated'
   };
 
-  this.remote.requestAccountInfo(request,
+  utils.sendRequest(this.remote.requestAccountInfo(request), undefined,
+    options.cancellationToken,
     composeAsync(formatAccountInfo, convertErrors(callback)));
 }
 
 function getAccountInfo(account: string, options: AccountInfoOptions = {}
 ): Promise<AccountInfoResponse> {
-  return utils.promisify(getAccountInfoAsync).call(this, account, options);
+  return utils.promisifyWithOptions(getAccountInfoAsync).call(this,
+    account, options);
 }
 
 module.exports = getAccountInfo;
@@ -0,0 +1,54 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const composeAsync = utils.common.composeAsync;
+const convertErrors = utils.common.convertErrors;
+const parseAccountObject = require('./parse/account-object');
+
+// the type names rippled accepts to filter 'account_objects'
+const objectTypes = {
+  order: 'offer',
+  trustline: 'state',
+  signerList: 'signer_list',
+  ticket: 'ticket',
+  escrow: 'escrow',
+  paymentChannel: 'payment_channel'
+};
+
+function requestAccountObjects(remote, address, ledgerVersion, type,
+  cancellationToken, marker, limit, callback
+) {
+  utils.sendRequest(remote.requestAccountObjects({
+    account: address,
+    type: type,
+    marker: marker,
+    limit: utils.clamp(limit, 10, 400),
+    ledger: ledgerVersion
+  }), undefined, cancellationToken,
+  composeAsync((data) => ({
+    marker: data.marker,
+    results: data.account_objects.map(_.partial(parseAccountObject, address))
+  }), convertErrors(callback)));
+}
+
+function getAccountObjectsAsync(address, options, callback) {
+  validate.address(address);
+  validate.getAccountObjectsOptions(options);
+
+  const ledgerVersion = options.ledgerVersion
+                      || this.remote.getLedgerSequence();
+  const getter = _.partial(requestAccountObjects, this.remote, address,
+                           ledgerVersion, objectTypes[options.type],
+                           options.cancellationToken);
+  utils.getRecursive(getter, options.limit, options.cancellationToken,
+    callback);
+}
+
+function getAccountObjects(address: string, options = {}) {
+  return utils.promisifyWithOptions(getAccountObjectsAsync).call(this,
+    address, options);
+}
+
+module.exports = getAccountObjects;
@@ -0,0 +1,74 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const async = require('async');
+const utils = require('./utils');
+const AutobridgeCalculator = require('../../core/autobridgecalculator');
+const core = utils.common.core;
+const composeAsync = utils.common.composeAsync;
+
+function amountValue(amount) {
+  return typeof amount === 'string' ? amount : amount.value;
+}
+
+// the calculator expects the funded amounts as plain values that are
+// always present, which is how the core OrderBook stores offers
+function formatLegOffer(offer) {
+  const isPartiallyFunded = offer.taker_gets_funded !== undefined;
+  return _.assign({}, offer, {
+    taker_gets_funded: amountValue(isPartiallyFunded ?
+      offer.taker_gets_funded : offer.TakerGets),
+    taker_pays_funded: amountValue(isPartiallyFunded ?
+      offer.taker_pays_funded : offer.TakerPays),
+    is_fully_funded: !isPartiallyFunded
+  });
+}
+
+function computeAutobridgedOffers(takerGets, takerPays, legOneOffers,
+    legTwoOffers
+) {
+  const calculator = new AutobridgeCalculator(
+    core.Currency.from_json(takerGets.currency),
+    core.Currency.from_json(takerPays.currency),
+    legOneOffers.map(formatLegOffer),
+    legTwoOffers.map(formatLegOffer),
+    takerGets.counterparty,
+    takerPays.counterparty
+  );
+  // synthetic offers have no maker and are always fully funded
+  return calculator.calculate().map(offer => ({
+    TakerGets: {
+      currency: takerGets.currency,
+      issuer: takerGets.counterparty,
+      value: offer.TakerGets.value
+    },
+    TakerPays: {
+      currency: takerPays.currency,
+      issuer: takerPays.counterparty,
+      value: offer.TakerPays.value
+    },
+    quality: offer.quality,
+    autobridged: true
+  }));
+}
+
+// an IOU/IOU book can be bridged through XRP: leg one exchanges takerPays
+// for XRP and leg two exchanges that XRP for takerGets
+function getAutobridgedOffers(getter, takerGets, takerPays, callback) {
+  const xrp = {currency: 'XRP'};
+  async.parallel([
+    _.partial(getter, xrp, takerPays),
+    _.partial(getter, takerGets, xrp)
+  ], composeAsync((legs) => computeAutobridgedOffers(
+    takerGets, takerPays, legs[0], legs[1]), callback));
+}
+
+function isAutobridgeable(orderbook) {
+  return orderbook.base.currency !== 'XRP'
+    && orderbook.counter.currency !== 'XRP';
+}
+
+module.exports = {
+  getAutobridgedOffers,
+  isAutobridgeable
+};
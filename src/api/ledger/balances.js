@@ -38,13 +38,16 @@ function getBalancesAsync(account, options, callback) {
   const ledgerVersion = options.ledgerVersion
                       || this.remote.getLedgerSequence();
   async.parallel({
-    xrp: _.partial(utils.getXRPBalance, this.remote, account, ledgerVersion),
+    xrp: _.partial(utils.queryLedgerRange, this.remote, ledgerVersion,
+      ledgerVersion, _.partial(utils.getXRPBalance, this.remote, account,
+      ledgerVersion, options.cancellationToken)),
     trustlines: _.partial(getTrustlinesAsync.bind(this), account, options)
   }, composeAsync(formatBalances, convertErrors(callback)));
 }
 
 function getBalances(account: string, options = {}) {
-  return utils.promisify(getBalancesAsync).call(this, account, options);
+  return utils.promisifyWithOptions(getBalancesAsync).call(this,
+    account, options);
 }
 
 module.exports = getBalances;
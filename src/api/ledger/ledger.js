@@ -15,14 +15,20 @@ function getLedgerAsync(options, callback) {
     transactions: options.includeTransactions,
     accounts: options.includeState
   };
+  const ledgerVersion = options.ledgerVersion
+                      || this.remote.getLedgerSequence();
 
-  this.remote.requestLedger(request,
-    composeAsync(response => parseLedger(response.ledger),
-    convertErrors(callback)));
+  utils.queryLedgerRange(this.remote, ledgerVersion, ledgerVersion,
+    (server, _callback) => {
+      utils.sendRequest(this.remote.requestLedger(request), server,
+        options.cancellationToken,
+        composeAsync(response => parseLedger(response.ledger),
+        convertErrors(_callback)));
+    }, callback);
 }
 
 function getLedger(options = {}) {
-  return utils.promisify(getLedgerAsync).call(this, options);
+  return utils.promisifyWithOptions(getLedgerAsync).call(this, options);
 }
 
 module.exports = getLedger;
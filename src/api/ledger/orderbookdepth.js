@@ -0,0 +1,29 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const async = require('async');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const composeAsync = utils.common.composeAsync;
+const parseOrderbookDepth = require('./parse/orderbook-depth');
+
+function getOrderbookDepthAsync(orderbook, options, callback) {
+  validate.orderbook(orderbook);
+  validate.getOrderbookDepthOptions(options);
+
+  // depth is not specific to any account, so no taker is specified
+  const getter = _.partial(utils.getBookOffers, this.remote, undefined,
+    options.ledgerVersion, undefined, options.cancellationToken);
+  async.parallel([
+    _.partial(getter, orderbook.base, orderbook.counter),
+    _.partial(getter, orderbook.counter, orderbook.base)
+  ], composeAsync((data) => parseOrderbookDepth(orderbook, _.flatten(data),
+    options), callback));
+}
+
+function getOrderbookDepth(orderbook: Object, options = {}) {
+  return utils.promisifyWithOptions(getOrderbookDepthAsync).call(this,
+    orderbook, options);
+}
+
+module.exports = getOrderbookDepth;
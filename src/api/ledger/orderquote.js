@@ -0,0 +1,148 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const async = require('async');
+const BigNumber = require('bignumber.js');
+const utils = require('./utils');
+const autobridge = require('./autobridge');
+const OrderBook = require('../../core/orderbook').OrderBook;
+const removeUndefined = require('./parse/utils').removeUndefined;
+const validate = utils.common.validate;
+const composeAsync = utils.common.composeAsync;
+const convertErrors = utils.common.convertErrors;
+const dropsToXrp = utils.common.dropsToXrp;
+
+function getTransferRate(remote, issue, ledgerVersion, cancellationToken,
+    callback
+) {
+  if (issue.currency === 'XRP') {
+    callback(null, OrderBook.DEFAULT_TRANSFER_RATE);
+    return;
+  }
+  utils.sendRequest(remote.requestAccountInfo({
+    account: issue.counterparty,
+    ledger: ledgerVersion || 'validated'
+  }), undefined, cancellationToken, composeAsync(
+    data => data.account_data.TransferRate || OrderBook.DEFAULT_TRANSFER_RATE,
+    convertErrors(callback)));
+}
+
+function parseValue(amount: string | Object): BigNumber {
+  return new BigNumber(typeof amount === 'string' ?
+    dropsToXrp(amount) : amount.value);
+}
+
+// the same adjustment as OrderBook.applyTransferRate: the issuer's fee is
+// deducted from what the maker can deliver
+function applyTransferRate(balance: BigNumber, transferRate: number
+): BigNumber {
+  return balance.dividedBy(transferRate)
+    .times(OrderBook.DEFAULT_TRANSFER_RATE);
+}
+
+// rippled only includes owner_funds in the first offer of each maker, and
+// those funds are shared by the maker's offers in order of quality
+function getFundedOffers(offers: Array<Object>, transferRate: number
+): Array<Object> {
+  const ownerFunds = {};
+  return offers.map(offer => {
+    const takerGets = parseValue(offer.TakerGets);
+    const takerPays = parseValue(offer.TakerPays);
+    if (offer.owner_funds !== undefined) {
+      const balance = typeof offer.TakerGets === 'string' ?
+        dropsToXrp(offer.owner_funds) : offer.owner_funds;
+      ownerFunds[offer.Account] =
+        applyTransferRate(new BigNumber(balance), transferRate);
+    }
+    // autobridged offers are synthesized from funded offers and have no maker
+    const funds = ownerFunds[offer.Account];
+    if (funds === undefined) {
+      return {takerGets, takerPays};
+    }
+    const fundedTakerGets = BigNumber.min(takerGets, funds);
+    ownerFunds[offer.Account] = funds.minus(fundedTakerGets);
+    return {
+      takerGets: fundedTakerGets,
+      takerPays: fundedTakerGets.times(takerPays).dividedBy(takerGets)
+    };
+  });
+}
+
+function formatValue(currency: string, value: BigNumber): string {
+  return (currency === 'XRP' ? value.round(6, BigNumber.ROUND_DOWN) :
+    value.toDigits(15)).toString();
+}
+
+function computeOrderQuote(orderbook: Object, offers: Array<Object>,
+    transferRate: number, options: Object
+): Object {
+  // buying the base currency takes asks, which give the base currency,
+  // and selling it takes bids, which give the counter currency
+  const isBuy = options.direction === 'buy';
+  const sortedOffers = _.sortBy(offers, offer => Number(offer.quality));
+  let remaining = new BigNumber(options.quantity);
+  let quantity = new BigNumber(0);
+  let totalPrice = new BigNumber(0);
+  let worstPrice = undefined;
+  let ordersConsumed = 0;
+
+  _.forEach(getFundedOffers(sortedOffers, transferRate), offer => {
+    if (remaining.isZero()) {
+      return false;
+    }
+    const base = isBuy ? offer.takerGets : offer.takerPays;
+    const counter = isBuy ? offer.takerPays : offer.takerGets;
+    if (base.isZero()) {
+      return true;
+    }
+    const price = counter.dividedBy(base);
+    const filled = BigNumber.min(base, remaining);
+    quantity = quantity.plus(filled);
+    totalPrice = totalPrice.plus(filled.times(price));
+    remaining = remaining.minus(filled);
+    worstPrice = price;
+    ordersConsumed += 1;
+  });
+
+  const isFilled = !quantity.isZero();
+  return removeUndefined({
+    quantity: _.assign({}, orderbook.base,
+      {value: formatValue(orderbook.base.currency, quantity)}),
+    totalPrice: _.assign({}, orderbook.counter,
+      {value: formatValue(orderbook.counter.currency, totalPrice)}),
+    averagePrice: isFilled ?
+      totalPrice.dividedBy(quantity).toDigits(15).toString() : undefined,
+    worstPrice: isFilled ? worstPrice.toDigits(15).toString() : undefined,
+    ordersConsumed
+  });
+}
+
+function getOrderQuoteAsync(orderbook, options, callback) {
+  validate.orderbook(orderbook);
+  validate.getOrderQuoteOptions(options);
+
+  const isBuy = options.direction === 'buy';
+  const takerGets = isBuy ? orderbook.base : orderbook.counter;
+  const takerPays = isBuy ? orderbook.counter : orderbook.base;
+  // a quote is not specific to any account, so no taker is specified
+  const getter = _.partial(utils.getBookOffers, this.remote, undefined,
+    options.ledgerVersion, undefined, options.cancellationToken);
+  const requests = [_.partial(getter, takerGets, takerPays)];
+  if (options.autobridge && autobridge.isAutobridgeable(orderbook)) {
+    requests.push(_.partial(autobridge.getAutobridgedOffers, getter,
+      takerGets, takerPays));
+  }
+  async.parallel({
+    offers: _.partial(async.parallel, requests),
+    transferRate: _.partial(getTransferRate, this.remote, takerGets,
+      options.ledgerVersion, options.cancellationToken)
+  }, composeAsync(data => computeOrderQuote(orderbook,
+    _.flatten(data.offers), data.transferRate, options), callback));
+}
+
+function getOrderQuote(orderbook: Object, options: Object) {
+  return utils.promisifyWithOptions(getOrderQuoteAsync).call(this,
+    orderbook, options);
+}
+
+module.exports = getOrderQuote;
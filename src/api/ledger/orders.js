@@ -7,15 +7,15 @@ const composeAsync = utils.common.composeAsync;
 const convertErrors = utils.common.convertErrors;
 const parseAccountOrder = require('./parse/account-order');
 
-function requestAccountOffers(remote, address, ledgerVersion, marker, limit,
-  callback
+function requestAccountOffers(remote, address, ledgerVersion, server,
+  cancellationToken, marker, limit, callback
 ) {
-  remote.requestAccountOffers({
+  utils.sendRequest(remote.requestAccountOffers({
     account: address,
     marker: marker,
     limit: utils.clamp(limit, 10, 400),
     ledger: ledgerVersion
-  },
+  }), server, cancellationToken,
   composeAsync((data) => ({
     marker: data.marker,
     results: data.offers.map(_.partial(parseAccountOrder, address))
@@ -28,15 +28,20 @@ function getOrdersAsync(account, options, callback) {
 
   const ledgerVersion = options.ledgerVersion
                       || this.remote.getLedgerSequence();
-  const getter = _.partial(requestAccountOffers, this.remote, account,
-                           ledgerVersion);
-  utils.getRecursive(getter, options.limit,
-    composeAsync((orders) => _.sortBy(orders,
+  utils.queryLedgerRange(this.remote, ledgerVersion, ledgerVersion,
+    (server, _callback) => {
+      const getter = _.partial(requestAccountOffers, this.remote, account,
+                               ledgerVersion, server,
+                               options.cancellationToken);
+      utils.getRecursive(getter, options.limit,
+        options.cancellationToken, _callback);
+    }, composeAsync((orders) => _.sortBy(orders,
       (order) => order.properties.sequence), callback));
 }
 
 function getOrders(account: string, options = {}) {
-  return utils.promisify(getOrdersAsync).call(this, account, options);
+  return utils.promisifyWithOptions(getOrdersAsync).call(this,
+    account, options);
 }
 
 module.exports = getOrders;
@@ -0,0 +1,80 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const BigNumber = require('bignumber.js');
+const utils = require('./utils');
+const flags = utils.core.Remote.flags.state;
+const parseAccountOrder = require('./account-order');
+const parseAccountTrustline = require('./account-trustline');
+const parseTicket = require('./ticket');
+const parseSignerList = require('./signerlist');
+const parseEscrow = require('./escrow');
+const parsePaymentChannel = require('./paymentchannel');
+
+// ledger entries use the same flags as 'account_offers', only the field
+// names differ
+function parseOffer(address: string, offer: Object): Object {
+  return parseAccountOrder(address, {
+    flags: offer.Flags,
+    seq: offer.Sequence,
+    taker_gets: offer.TakerGets,
+    taker_pays: offer.TakerPays
+  });
+}
+
+// a RippleState entry is shared by both accounts, so it must be viewed
+// from the perspective of the requested address like 'account_lines' does
+function parseRippleState(address: string, state: Object): Object {
+  const isLow = state.LowLimit.issuer === address;
+  const own = isLow ? 'Low' : 'High';
+  const peer = isLow ? 'High' : 'Low';
+  const balance = new BigNumber(state.Balance.value);
+  return parseAccountTrustline({
+    account: state[peer + 'Limit'].issuer,
+    balance: (isLow ? balance : balance.negated()).toString(),
+    currency: state.Balance.currency,
+    limit: state[own + 'Limit'].value,
+    limit_peer: state[peer + 'Limit'].value,
+    quality_in: state[own + 'QualityIn'],
+    quality_out: state[own + 'QualityOut'],
+    no_ripple: (state.Flags & flags[own + 'NoRipple']) !== 0,
+    no_ripple_peer: (state.Flags & flags[peer + 'NoRipple']) !== 0,
+    freeze: (state.Flags & flags[own + 'Freeze']) !== 0,
+    freeze_peer: (state.Flags & flags[peer + 'Freeze']) !== 0,
+    authorized: (state.Flags & flags[own + 'Auth']) !== 0,
+    peer_authorized: (state.Flags & flags[peer + 'Auth']) !== 0
+  });
+}
+
+function parseUnknown(node: Object): Object {
+  return {rawObject: JSON.stringify(node)};
+}
+
+function parseObjectType(type: string): string {
+  const mapping = {
+    Offer: 'order',
+    RippleState: 'trustline',
+    SignerList: 'signerList',
+    Ticket: 'ticket',
+    Escrow: 'escrow',
+    PayChannel: 'paymentChannel'
+  };
+  return mapping[type] || 'unknown';
+}
+
+function parseAccountObject(address: string, node: Object): Object {
+  const type = parseObjectType(node.LedgerEntryType);
+  const mapping = {
+    'order': _.partial(parseOffer, address),
+    'trustline': _.partial(parseRippleState, address),
+    'signerList': parseSignerList,
+    'ticket': ticket => _.omit(parseTicket(ticket), 'id'),
+    'escrow': parseEscrow,
+    'paymentChannel': parsePaymentChannel,
+    'unknown': parseUnknown
+  };
+  const parser = mapping[type];
+  return _.assign({type: type, id: node.index}, parser(node));
+}
+
+module.exports = parseAccountObject;
@@ -0,0 +1,20 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+const amendmentFlags = utils.core.Transaction.flags.EnableAmendment;
+
+// EnableFeature is the name older servers used for EnableAmendment
+function parseAmendment(tx: Object): Object {
+  assert(tx.TransactionType === 'EnableAmendment'
+    || tx.TransactionType === 'EnableFeature');
+
+  return utils.removeUndefined({
+    amendment: tx.Amendment || tx.Feature,
+    ledgerVersion: tx.LedgerSequence,
+    gotMajority: ((tx.Flags & amendmentFlags.GotMajority) !== 0) || undefined,
+    lostMajority: ((tx.Flags & amendmentFlags.LostMajority) !== 0) || undefined
+  });
+}
+
+module.exports = parseAmendment;
@@ -0,0 +1,53 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const BigNumber = require('bignumber.js');
+const utils = require('./utils');
+const parseAmount = require('./amount');
+const paymentFlags = utils.core.Transaction.flags.Payment;
+
+// rippled has recorded DeliveredAmount in the metadata of every partial
+// payment since this ledger version, so before it the amount is unknown
+const DELIVERED_AMOUNT_LEDGER_VERSION = 4594095;
+
+function isPartialPayment(tx: Object): boolean {
+  return (tx.Flags & paymentFlags.PartialPayment) !== 0;
+}
+
+// the destination's balance changes are the only record of what an older
+// partial payment delivered
+function parseDeliveredAmountFromBalanceChanges(tx: Object,
+    balanceChanges: Object
+): ?Object {
+  const amount = parseAmount(tx.Amount);
+  const changes = _.filter(balanceChanges[tx.Destination], change =>
+    change.currency === amount.currency
+    && new BigNumber(change.value).greaterThan(0));
+  if (changes.length === 0) {
+    return undefined;
+  }
+  let value = changes.reduce((sum, change) => sum.plus(change.value),
+    new BigNumber(0));
+  if (amount.currency === 'XRP' && tx.Account === tx.Destination) {
+    value = value.plus(utils.dropsToXrp(tx.Fee));
+  }
+  return _.assign({}, amount, {value: value.toString()});
+}
+
+function parseDeliveredAmount(tx: Object, balanceChanges: Object
+): Object | string {
+  if (tx.meta.TransactionResult !== 'tesSUCCESS') {
+    return _.assign({}, parseAmount(tx.Amount), {value: '0'});
+  }
+  if (tx.meta.DeliveredAmount !== undefined) {
+    return parseAmount(tx.meta.DeliveredAmount);
+  }
+  if (!isPartialPayment(tx)
+      || tx.ledger_index >= DELIVERED_AMOUNT_LEDGER_VERSION) {
+    return parseAmount(tx.Amount);
+  }
+  return parseDeliveredAmountFromBalanceChanges(tx, balanceChanges)
+    || 'unavailable';
+}
+
+module.exports = parseDeliveredAmount;
@@ -0,0 +1,24 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+const parseAmount = require('./amount');
+
+function parseEscrow(node: Object): Object {
+  assert(node.LedgerEntryType === 'Escrow');
+
+  return utils.removeUndefined({
+    account: node.Account,
+    destination: node.Destination,
+    amount: parseAmount(node.Amount).value,
+    condition: node.Condition,
+    allowCancelAfter: utils.parseTimestamp(node.CancelAfter),
+    allowExecuteAfter: utils.parseTimestamp(node.FinishAfter),
+    sourceTag: node.SourceTag,
+    destinationTag: node.DestinationTag,
+    previousAffectingTransactionID: node.PreviousTxnID,
+    previousAffectingTransactionLedgerVersion: node.PreviousTxnLgrSeq
+  });
+}
+
+module.exports = parseEscrow;
@@ -0,0 +1,16 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+
+function parseEscrowCancellation(tx: Object): Object {
+  assert(tx.TransactionType === 'EscrowCancel');
+
+  return utils.removeUndefined({
+    owner: tx.Owner,
+    escrowSequence: tx.OfferSequence,
+    memos: utils.parseMemos(tx)
+  });
+}
+
+module.exports = parseEscrowCancellation;
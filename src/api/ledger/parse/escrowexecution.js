@@ -0,0 +1,18 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+
+function parseEscrowExecution(tx: Object): Object {
+  assert(tx.TransactionType === 'EscrowFinish');
+
+  return utils.removeUndefined({
+    owner: tx.Owner,
+    escrowSequence: tx.OfferSequence,
+    memos: utils.parseMemos(tx),
+    condition: tx.Condition,
+    fulfillment: tx.Fulfillment
+  });
+}
+
+module.exports = parseEscrowExecution;
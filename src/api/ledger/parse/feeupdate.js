@@ -0,0 +1,21 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const BigNumber = require('bignumber.js');
+const utils = require('./utils');
+
+function parseFeeUpdate(tx: Object): Object {
+  assert(tx.TransactionType === 'SetFee');
+
+  // BaseFee is a 64-bit field, which rippled returns as a hex string
+  const baseFeeDrops = new BigNumber(tx.BaseFee, 16).toString();
+  return utils.removeUndefined({
+    ledgerVersion: tx.LedgerSequence,
+    baseFee: utils.dropsToXrp(baseFeeDrops),
+    referenceFeeUnits: tx.ReferenceFeeUnits,
+    reserveBase: utils.dropsToXrp(tx.ReserveBase),
+    reserveIncrement: utils.dropsToXrp(tx.ReserveIncrement)
+  });
+}
+
+module.exports = parseFeeUpdate;
@@ -0,0 +1,84 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const BigNumber = require('bignumber.js');
+const parseOrderbook = require('./orderbook');
+
+// the funded amount is the taker gets side of the offer, which is the
+// totalPrice of a bid and the quantity of an ask
+function getFundedAmounts(order: Object): Object {
+  const specification = order.specification;
+  if (order.state === undefined) {
+    return {
+      quantity: new BigNumber(specification.quantity.value),
+      totalPrice: new BigNumber(specification.totalPrice.value)
+    };
+  }
+  const fundedAmount = new BigNumber(order.state.fundedAmount.value);
+  const priceOfFundedAmount =
+    new BigNumber(order.state.priceOfFundedAmount.value);
+  return specification.direction === 'buy' ?
+    {quantity: priceOfFundedAmount, totalPrice: fundedAmount} :
+    {quantity: fundedAmount, totalPrice: priceOfFundedAmount};
+}
+
+// bids are rounded down and asks are rounded up so that aggregating never
+// makes an order look better than it is
+function getPriceLevel(order: Object, tickSize?: string): BigNumber {
+  const specification = order.specification;
+  const price = new BigNumber(specification.totalPrice.value).dividedBy(
+    specification.quantity.value);
+  if (tickSize === undefined) {
+    // amounts on the ledger have 15 significant digits of precision
+    return price.toDigits(15);
+  }
+  const ticks = price.dividedBy(tickSize);
+  return (specification.direction === 'buy' ? ticks.floor() : ticks.ceil())
+    .times(tickSize);
+}
+
+function aggregateOrders(orders: Array<Object>, options: Object
+): Array<Object> {
+  const levels = [];
+  let cumulativeQuantity = new BigNumber(0);
+  let cumulativeTotalPrice = new BigNumber(0);
+  orders.forEach(order => {
+    const funded = getFundedAmounts(order);
+    if (funded.quantity.isZero()) {
+      return;
+    }
+    const price = getPriceLevel(order, options.tickSize).toString();
+    cumulativeQuantity = cumulativeQuantity.plus(funded.quantity);
+    cumulativeTotalPrice = cumulativeTotalPrice.plus(funded.totalPrice);
+    // orders are sorted by price, so orders at the same level are adjacent
+    const level = _.last(levels);
+    if (level !== undefined && level.price === price) {
+      level.quantity = level.quantity.plus(funded.quantity);
+      level.totalPrice = level.totalPrice.plus(funded.totalPrice);
+      level.cumulativeQuantity = cumulativeQuantity;
+      level.cumulativeTotalPrice = cumulativeTotalPrice;
+    } else {
+      levels.push({
+        price,
+        quantity: funded.quantity,
+        totalPrice: funded.totalPrice,
+        cumulativeQuantity,
+        cumulativeTotalPrice
+      });
+    }
+  });
+  return _.take(levels, options.levels || levels.length).map(level =>
+    _.mapValues(level, value => value.toString()));
+}
+
+function parseOrderbookDepth(orderbook: Object, offers: Array<Object>,
+    options: Object
+): Object {
+  const orders = parseOrderbook(orderbook, offers, {});
+  return {
+    bids: aggregateOrders(orders.bids, options),
+    asks: aggregateOrders(orders.asks, options)
+  };
+}
+
+module.exports = parseOrderbookDepth;
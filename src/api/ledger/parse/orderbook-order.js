@@ -21,12 +21,13 @@ function parseOrderbookOrder(order: Object): Object {
     passive: ((order.Flags & flags.Passive) !== 0) || undefined
   });
 
-  const properties = {
+  // autobridged offers are synthetic so they have no maker or sequence
+  const properties = utils.removeUndefined({
     maker: order.Account,
     sequence: order.Sequence,
     makerExchangeRate: utils.adjustQualityForXRP(order.quality,
       takerGetsAmount.currency, takerPaysAmount.currency)
-  };
+  });
 
   const takerGetsFunded = order.taker_gets_funded ?
       parseAmount(order.taker_gets_funded) : undefined;
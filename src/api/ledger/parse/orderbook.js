@@ -0,0 +1,64 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const parseOrderbookOrder = require('./orderbook-order');
+
+function isSameIssue(a, b) {
+  return a.currency === b.currency && a.counterparty === b.counterparty;
+}
+
+function directionFilter(direction, order) {
+  return order.specification.direction === direction;
+}
+
+function flipOrder(order) {
+  const specification = order.specification;
+  const flippedSpecification = {
+    quantity: specification.totalPrice,
+    totalPrice: specification.quantity,
+    direction: specification.direction === 'buy' ? 'sell' : 'buy'
+  };
+  const newSpecification = _.merge({}, specification, flippedSpecification);
+  return _.merge({}, order, {specification: newSpecification});
+}
+
+function alignOrder(base, order) {
+  const quantity = order.specification.quantity;
+  return isSameIssue(quantity, base) ? order : flipOrder(order);
+}
+
+function parseOrder(markSource, offer) {
+  const order = parseOrderbookOrder(offer);
+  if (!markSource) {
+    return order;
+  }
+  const source = offer.autobridged ? 'autobridged' : 'direct';
+  return _.merge(order, {properties: {source: source}});
+}
+
+function parseOrderbook(orderbook: Object, offers: Array<Object>,
+    options: Object
+): Object {
+  // the "base" currency is the currency that you are buying or selling
+  // the "counter" is the currency that the "base" is priced in
+  // a "bid"/"ask" is an order to buy/sell the base, respectively
+  // for bids: takerGets = totalPrice = counter, takerPays = quantity = base
+  // for asks: takerGets = quantity = base, takerPays = totalPrice = counter
+  // quality = takerPays / takerGets; price = totalPrice / quantity
+  // for bids: lowest quality => lowest quantity/totalPrice => highest price
+  // for asks: lowest quality => lowest totalPrice/quantity => lowest price
+  // for both bids and asks, lowest quality is closest to mid-market
+  // we sort the orders so that earlier orders are closer to mid-market
+  const orders = _.sortBy(offers, offer => Number(offer.quality)).map(
+    _.partial(parseOrder, Boolean(options.autobridge)));
+  const alignedOrders = orders.map(_.partial(alignOrder, orderbook.base));
+  const bids = alignedOrders.filter(_.partial(directionFilter, 'buy'));
+  const asks = alignedOrders.filter(_.partial(directionFilter, 'sell'));
+  // merging autobridged offers can return more than limit orders per side
+  return {
+    bids: _.take(bids, options.limit || bids.length),
+    asks: _.take(asks, options.limit || asks.length)
+  };
+}
+
+module.exports = parseOrderbook;
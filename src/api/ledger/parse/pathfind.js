@@ -1,6 +1,7 @@
 /* @flow */
 'use strict';
 const _ = require('lodash');
+const BigNumber = require('bignumber.js');
 const parseAmount = require('./amount');
 
 function parsePaths(paths) {
@@ -8,22 +9,54 @@ function parsePaths(paths) {
     _.omit(step, ['type', 'type_hex'])));
 }
 
-function parsePathfind(sourceAddress: string,
-    destinationAmount: Object, pathfindResult: Object
+// the minimum is rounded down so that it never exceeds what was found
+function applySlippage(amount: Object, slippage: string): Object {
+  const value = new BigNumber(amount.value).times(
+    new BigNumber(1).minus(slippage));
+  return _.assign({}, amount, {value: (amount.currency === 'XRP' ?
+    value.round(6, BigNumber.ROUND_DOWN) :
+    value.toDigits(15, BigNumber.ROUND_DOWN)).toString()});
+}
+
+function parseAlternative(sourceAddress: string, destinationAddress: string,
+    destinationAmount: Object, slippage: string, alternative: Object
 ): Object {
-  return pathfindResult.alternatives.map(function(alternative) {
+  const source = {
+    address: sourceAddress,
+    maxAmount: parseAmount(alternative.source_amount)
+  };
+  const paths = JSON.stringify(parsePaths(alternative.paths_computed));
+  // rippled only reports the amount each alternative delivers when the
+  // source amount is fixed, in which case the payment must be partial
+  if (alternative.destination_amount !== undefined) {
+    const amount = parseAmount(alternative.destination_amount);
     return {
-      source: {
-        address: sourceAddress,
-        maxAmount: parseAmount(alternative.source_amount)
-      },
+      source,
       destination: {
-        address: pathfindResult.destination_account,
-        amount: destinationAmount
+        address: destinationAddress,
+        amount: amount,
+        minAmount: applySlippage(amount, slippage)
       },
-      paths: JSON.stringify(parsePaths(alternative.paths_computed))
+      paths,
+      allowPartialPayment: true
     };
-  });
+  }
+  return {
+    source,
+    destination: {
+      address: destinationAddress,
+      amount: destinationAmount
+    },
+    paths
+  };
+}
+
+function parsePathfind(sourceAddress: string, destinationAmount: Object,
+    pathfindResult: Object, slippage: string = '0'
+): Object {
+  return pathfindResult.alternatives.map(_.partial(parseAlternative,
+    sourceAddress, pathfindResult.destination_account, destinationAmount,
+    slippage));
 }
 
 module.exports = parsePathfind;
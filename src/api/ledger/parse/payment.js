@@ -18,19 +18,6 @@ function isQualityLimited(tx) {
   return (tx.Flags & Transaction.flags.Payment.LimitQuality) !== 0;
 }
 
-function parsePaymentMemos(tx) {
-  if (!Array.isArray(tx.Memos) || tx.Memos.length === 0) {
-    return undefined;
-  }
-  return tx.Memos.map((m) => {
-    return utils.removeUndefined({
-      type: m.Memo.parsed_memo_type,
-      format: m.Memo.parsed_memo_format,
-      data: m.Memo.parsed_memo_data
-    });
-  });
-}
-
 function removeGenericCounterparty(amount, address) {
   return amount.counterparty === address ?
     _.omit(amount, 'counterparty') : amount;
@@ -49,13 +36,15 @@ function parsePayment(tx: Object): Object {
   const destination = {
     address: tx.Destination,
     amount: removeGenericCounterparty(parseAmount(tx.Amount), tx.Destination),
+    minAmount: tx.DeliverMin ? removeGenericCounterparty(
+      parseAmount(tx.DeliverMin), tx.Destination) : undefined,
     tag: tx.DestinationTag
   };
 
   return utils.removeUndefined({
     source: utils.removeUndefined(source),
     destination: utils.removeUndefined(destination),
-    memos: parsePaymentMemos(tx),
+    memos: utils.parseMemos(tx),
     invoiceID: tx.InvoiceID,
     paths: tx.Paths ? JSON.stringify(tx.Paths) : undefined,
     allowPartialPayment: isPartialPayment(tx) || undefined,
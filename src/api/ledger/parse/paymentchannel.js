@@ -0,0 +1,40 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+
+type PaymentChannelResponse = {
+  account: string,
+  destination: string,
+  amount: string,
+  balance: string,
+  settleDelay: number,
+  publicKey: string,
+  expiration?: string,
+  cancelAfter?: string,
+  sourceTag?: number,
+  destinationTag?: number,
+  previousAffectingTransactionID: string,
+  previousAffectingTransactionLedgerVersion: number
+}
+
+function parsePaymentChannel(node: Object): PaymentChannelResponse {
+  assert(node.LedgerEntryType === 'PayChannel');
+
+  return utils.removeUndefined({
+    account: node.Account,
+    destination: node.Destination,
+    amount: utils.dropsToXrp(node.Amount),
+    balance: utils.dropsToXrp(node.Balance),
+    settleDelay: node.SettleDelay,
+    publicKey: node.PublicKey,
+    expiration: utils.parseTimestamp(node.Expiration),
+    cancelAfter: utils.parseTimestamp(node.CancelAfter),
+    sourceTag: node.SourceTag,
+    destinationTag: node.DestinationTag,
+    previousAffectingTransactionID: node.PreviousTxnID,
+    previousAffectingTransactionLedgerVersion: node.PreviousTxnLgrSeq
+  });
+}
+
+module.exports = parsePaymentChannel;
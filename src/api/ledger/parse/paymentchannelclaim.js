@@ -0,0 +1,22 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+const parseAmount = require('./amount');
+const claimFlags = utils.core.Transaction.flags.PaymentChannelClaim;
+
+function parsePaymentChannelClaim(tx: Object): Object {
+  assert(tx.TransactionType === 'PaymentChannelClaim');
+
+  return utils.removeUndefined({
+    channel: tx.Channel,
+    balance: tx.Balance && parseAmount(tx.Balance).value,
+    amount: tx.Amount && parseAmount(tx.Amount).value,
+    signature: tx.Signature,
+    publicKey: tx.PublicKey,
+    renew: ((tx.Flags & claimFlags.Renew) !== 0) || undefined,
+    close: ((tx.Flags & claimFlags.Close) !== 0) || undefined
+  });
+}
+
+module.exports = parsePaymentChannelClaim;
@@ -0,0 +1,22 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+
+// parses a SignerListSet transaction or a SignerList ledger entry, which
+// have the same fields
+function parseSignerList(tx: Object): Object {
+  assert(tx.TransactionType === 'SignerListSet'
+    || tx.LedgerEntryType === 'SignerList');
+
+  return utils.removeUndefined({
+    threshold: tx.SignerQuorum,
+    weights: tx.SignerEntries && tx.SignerEntries.map(entry => ({
+      address: entry.SignerEntry.Account,
+      weight: entry.SignerEntry.SignerWeight
+    })),
+    memos: utils.parseMemos(tx)
+  });
+}
+
+module.exports = parseSignerList;
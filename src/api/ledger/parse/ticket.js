@@ -0,0 +1,13 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+
+function parseTicket(ticket: Object): Object {
+  assert(ticket.LedgerEntryType === 'Ticket');
+  return {
+    ticketSequence: ticket.TicketSequence,
+    id: ticket.index
+  };
+}
+
+module.exports = parseTicket;
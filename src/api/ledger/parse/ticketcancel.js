@@ -0,0 +1,15 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+
+function parseTicketCancel(tx: Object): Object {
+  assert(tx.TransactionType === 'TicketCancel');
+
+  return utils.removeUndefined({
+    ticketID: tx.TicketID,
+    memos: utils.parseMemos(tx)
+  });
+}
+
+module.exports = parseTicketCancel;
@@ -0,0 +1,15 @@
+/* @flow */
+'use strict';
+const assert = require('assert');
+const utils = require('./utils');
+
+function parseTicketCreate(tx: Object): Object {
+  assert(tx.TransactionType === 'TicketCreate');
+
+  return utils.removeUndefined({
+    ticketCount: tx.TicketCount,
+    memos: utils.parseMemos(tx)
+  });
+}
+
+module.exports = parseTicketCreate;
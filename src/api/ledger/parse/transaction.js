@@ -1,12 +1,23 @@
 /* @flow */
 'use strict';
-const assert = require('assert');
 const utils = require('./utils');
 const parsePayment = require('./payment');
 const parseTrustline = require('./trustline');
 const parseOrder = require('./order');
 const parseOrderCancellation = require('./cancellation');
 const parseSettings = require('./settings');
+const parseEscrowCreation = require('./escrowcreation');
+const parseEscrowExecution = require('./escrowexecution');
+const parseEscrowCancellation = require('./escrowcancellation');
+const parsePaymentChannelCreate = require('./paymentchannelcreate');
+const parsePaymentChannelFund = require('./paymentchannelfund');
+const parsePaymentChannelClaim = require('./paymentchannelclaim');
+const parseSignerList = require('./signerlist');
+const parseTicketCreate = require('./ticketcreate');
+const parseTicketCancel = require('./ticketcancel');
+const parseAmendment = require('./amendment');
+const parseFeeUpdate = require('./feeupdate');
+const parseDeliveredAmount = require('./delivered-amount');
 
 function parseTransactionType(type) {
   const mapping = {
@@ -15,9 +26,29 @@ function parseTransactionType(type) {
     OfferCreate: 'order',
     OfferCancel: 'orderCancellation',
     AccountSet: 'settings',
-    SetRegularKey: 'settings'
+    SetRegularKey: 'settings',
+    EscrowCreate: 'escrowCreation',
+    EscrowFinish: 'escrowExecution',
+    EscrowCancel: 'escrowCancellation',
+    PaymentChannelCreate: 'paymentChannelCreate',
+    PaymentChannelFund: 'paymentChannelFund',
+    PaymentChannelClaim: 'paymentChannelClaim',
+    SignerListSet: 'signerList',
+    TicketCreate: 'ticketCreate',
+    TicketCancel: 'ticketCancel',
+    EnableAmendment: 'amendment',
+    EnableFeature: 'amendment',
+    SetFee: 'feeUpdate'
+  };
+  return mapping[type] || 'unknown';
+}
+
+// keep the transaction as-is so that callers can still inspect types that
+// this library does not understand
+function parseUnknown(tx: Object): Object {
+  return {
+    rawTransaction: JSON.stringify(tx)
   };
-  return mapping[type] || null;
 }
 
 function parseTransaction(tx: Object): Object {
@@ -27,12 +58,26 @@ function parseTransaction(tx: Object): Object {
     'trustline': parseTrustline,
     'order': parseOrder,
     'orderCancellation': parseOrderCancellation,
-    'settings': parseSettings
+    'settings': parseSettings,
+    'escrowCreation': parseEscrowCreation,
+    'escrowExecution': parseEscrowExecution,
+    'escrowCancellation': parseEscrowCancellation,
+    'paymentChannelCreate': parsePaymentChannelCreate,
+    'paymentChannelFund': parsePaymentChannelFund,
+    'paymentChannelClaim': parsePaymentChannelClaim,
+    'signerList': parseSignerList,
+    'ticketCreate': parseTicketCreate,
+    'ticketCancel': parseTicketCancel,
+    'amendment': parseAmendment,
+    'feeUpdate': parseFeeUpdate,
+    'unknown': parseUnknown
   };
   const parser = mapping[type];
-  assert(parser !== undefined, 'Unrecognized transaction type');
   const specification = parser(tx);
   const outcome = utils.parseOutcome(tx);
+  if (outcome && type === 'payment') {
+    outcome.deliveredAmount = parseDeliveredAmount(tx, outcome.balanceChanges);
+  }
   return utils.removeUndefined({
     type: type,
     address: tx.Account,
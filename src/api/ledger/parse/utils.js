@@ -18,14 +18,28 @@ function adjustQualityForXRP(
     (new BigNumber(quality)).shift(shift).toString();
 }
 
-function parseTimestamp(tx: {date: string}): string | void {
-  return tx.date ? (new Date(toTimestamp(tx.date))).toISOString() : undefined;
+function parseTimestamp(rippleTime: ?number): string | void {
+  return rippleTime ? (new Date(toTimestamp(rippleTime))).toISOString()
+    : undefined;
 }
 
 function removeUndefined(obj: Object): Object {
   return _.omit(obj, _.isUndefined);
 }
 
+function parseMemos(tx: Object): ?Array<Object> {
+  if (!Array.isArray(tx.Memos) || tx.Memos.length === 0) {
+    return undefined;
+  }
+  return tx.Memos.map((m) => {
+    return removeUndefined({
+      type: m.Memo.parsed_memo_type,
+      format: m.Memo.parsed_memo_format,
+      data: m.Memo.parsed_memo_data
+    });
+  });
+}
+
 function removeEmptyCounterparty(amount) {
   if (amount.counterparty === '') {
     delete amount.counterparty;
@@ -58,7 +72,7 @@ function parseOutcome(tx: Object): ?Object {
 
   return {
     result: tx.meta.TransactionResult,
-    timestamp: parseTimestamp(tx),
+    timestamp: parseTimestamp(tx.date),
     fee: utils.common.dropsToXrp(tx.Fee),
     balanceChanges: balanceChanges,
     orderbookChanges: orderbookChanges,
@@ -69,6 +83,8 @@ function parseOutcome(tx: Object): ?Object {
 
 module.exports = {
   parseOutcome,
+  parseMemos,
+  parseTimestamp,
   removeUndefined,
   adjustQualityForXRP,
   dropsToXrp: utils.common.dropsToXrp,
@@ -1,38 +1,55 @@
 /* @flow */
 'use strict';
 const _ = require('lodash');
+const util = require('util');
+const EventEmitter = require('events').EventEmitter;
 const async = require('async');
 const BigNumber = require('bignumber.js');
 const utils = require('./utils');
 const validate = utils.common.validate;
 const parsePathfind = require('./parse/pathfind');
 const NotFoundError = utils.common.errors.NotFoundError;
+const ValidationError = utils.common.errors.ValidationError;
+const ApiError = utils.common.errors.ApiError;
 const composeAsync = utils.common.composeAsync;
 const convertErrors = utils.common.convertErrors;
 
 type PathFindParams = {
   src_currencies?: Array<string>, src_account: string, dst_amount: string,
-  dst_account?: string
+  dst_account?: string, send_max?: string | Object
 }
 
 function addParams(params: PathFindParams, result: {}) {
   return _.assign({}, result, {
     source_account: params.src_account,
     source_currencies: params.src_currencies,
-    destination_amount: params.dst_amount
+    destination_amount: params.dst_amount,
+    send_max: params.send_max
   });
 }
 
 type PathFind = {
-  source: {address: string, currencies: Array<string>},
-  destination: {address: string, amount: string}
+  source: {address: string, currencies: Array<string>, amount?: Object},
+  destination: {address: string, amount: Object},
+  slippage?: string
 }
 
-function requestPathFind(remote, pathfind: PathFind, callback) {
+function createDestinationAmount(pathfind: PathFind): string | Object {
+  const amount = pathfind.destination.amount;
+  if (pathfind.source.amount === undefined) {
+    return utils.common.toRippledAmount(amount);
+  }
+  // a destination amount of -1 asks rippled for as much as the source amount
+  // can deliver; for XRP it is -1 drops
+  return amount.currency === 'XRP' ? '-1' :
+    utils.common.toRippledAmount(_.assign({}, amount, {value: '-1'}));
+}
+
+function createPathFindParams(pathfind: PathFind): PathFindParams {
   const params: PathFindParams = {
     src_account: pathfind.source.address,
     dst_account: pathfind.destination.address,
-    dst_amount: utils.common.toRippledAmount(pathfind.destination.amount)
+    dst_amount: createDestinationAmount(pathfind)
   };
   if (typeof params.dst_amount === 'object' && !params.dst_amount.issuer) {
     // Convert blank issuer to sender's address
@@ -46,13 +63,39 @@ function requestPathFind(remote, pathfind: PathFind, callback) {
     params.src_currencies = pathfind.source.currencies.map(amount =>
       _.omit(utils.common.toRippledAmount(amount), 'value'));
   }
+  if (pathfind.source.amount !== undefined) {
+    params.send_max = utils.common.toRippledAmount(pathfind.source.amount);
+    if (typeof params.send_max === 'object' && !params.send_max.issuer) {
+      // 'any issuer' for the source is the sender's address
+      params.send_max.issuer = params.src_account;
+    }
+  }
+  return params;
+}
 
-  remote.createPathFind(params,
+function requestPathFind(remote, pathfind: PathFind, cancellationToken,
+    callback
+) {
+  const params = createPathFindParams(pathfind);
+  const pathFind = remote.createPathFind(params,
     composeAsync(_.partial(addParams, params), convertErrors(callback)));
+  cancellationToken.onCancel(() => pathFind.close());
 }
 
 function addDirectXrpPath(paths, xrpBalance) {
   // Add XRP "path" only if the source acct has enough XRP to make the payment
+  if (paths.send_max !== undefined) {
+    // a fixed amount of XRP delivers the same amount of XRP
+    if ((new BigNumber(xrpBalance)).greaterThanOrEqualTo(
+        utils.common.dropsToXrp(paths.send_max))) {
+      paths.alternatives.unshift({
+        paths_computed: [],
+        source_amount: paths.send_max,
+        destination_amount: paths.send_max
+      });
+    }
+    return paths;
+  }
   const destinationAmount = paths.destination_amount;
   if ((new BigNumber(xrpBalance)).greaterThanOrEqualTo(destinationAmount)) {
     paths.alternatives.unshift({
@@ -69,20 +112,24 @@ function isRippledIOUAmount(amount) {
     amount.currency && (amount.currency !== 'XRP');
 }
 
-function conditionallyAddDirectXRPPath(remote, address, paths, callback) {
+function conditionallyAddDirectXRPPath(remote, address, cancellationToken,
+    paths, callback
+) {
   if (isRippledIOUAmount(paths.destination_amount)
+      || isRippledIOUAmount(paths.send_max)
       || !_.includes(paths.destination_currencies, 'XRP')) {
     callback(null, paths);
   } else {
-    utils.getXRPBalance(remote, address, undefined,
-      composeAsync(_.partial(addDirectXrpPath, paths), callback));
+    utils.getXRPBalance(remote, address, undefined, cancellationToken,
+      undefined, composeAsync(_.partial(addDirectXrpPath, paths), callback));
   }
 }
 
 function formatResponse(pathfind, paths) {
   if (paths.alternatives && paths.alternatives.length > 0) {
     const address = pathfind.source.address;
-    return parsePathfind(address, pathfind.destination.amount, paths);
+    return parsePathfind(address, pathfind.destination.amount, paths,
+      pathfind.slippage);
   }
   if (paths.destination_currencies !== undefined &&
       !_.includes(paths.destination_currencies,
@@ -105,18 +152,117 @@ function formatResponse(pathfind, paths) {
   }
 }
 
-function getPathsAsync(pathfind, callback) {
+function getPathsAsync(pathfind, options, cancellationToken, callback) {
   validate.pathfind(pathfind);
+  validate.callOptions(options);
+  // rippled allows one path_find per connection, so the request would wait
+  // until the watcher is closed
+  if (this._pathWatchers.length > 0) {
+    throw new ApiError('Cannot get paths while watching paths, '
+      + 'close the path watcher first');
+  }
 
   const address = pathfind.source.address;
   async.waterfall([
-    _.partial(requestPathFind, this.remote, pathfind),
-    _.partial(conditionallyAddDirectXRPPath, this.remote, address)
+    _.partial(requestPathFind, this.remote, pathfind, cancellationToken),
+    _.partial(conditionallyAddDirectXRPPath, this.remote, address,
+      cancellationToken)
   ], composeAsync(_.partial(formatResponse, pathfind), callback));
 }
 
-function getPaths(pathfind: Object) {
-  return utils.promisify(getPathsAsync).call(this, pathfind);
+function getPaths(pathfind: Object, options: Object = {}) {
+  return utils.promisifyWithTimeout(getPathsAsync).call(this, pathfind,
+    options);
+}
+
+function formatUpdate(pathfind, paths) {
+  // unlike getPaths, no alternatives is not an error because liquidity
+  // may still become available
+  if (paths.alternatives && paths.alternatives.length > 0) {
+    return parsePathfind(pathfind.source.address, pathfind.destination.amount,
+      paths, pathfind.slippage);
+  }
+  return [];
+}
+
+// keeps a path_find open and emits 'paths' with the parsed alternatives
+// whenever rippled reports an update, 'error' if rippled rejects the
+// path_find and something listens for errors, and 'close' once the path_find
+// has been closed, which also happens when the connection drops
+function PathWatcher(remote, pathfind: PathFind) {
+  EventEmitter.call(this);
+  this._remote = remote;
+  this._pathfind = pathfind;
+  this._updateCount = 0;
+  this._isClosed = false;
+  this._handleDisconnect = this.close.bind(this);
+  this._remote.once('disconnect', this._handleDisconnect);
+
+  this._pathFind = remote.createPathFind(createPathFindParams(pathfind));
+  this._pathFind.on('update', this._handleUpdate.bind(this));
+  this._pathFind.on('error', convertErrors(error => {
+    utils.common.emitError(this, error);
+  }));
+}
+
+util.inherits(PathWatcher, EventEmitter);
+
+PathWatcher.prototype._handleUpdate = function(message) {
+  const pathfind = this._pathfind;
+  const updateCount = ++this._updateCount;
+  const paths = addParams(createPathFindParams(pathfind),
+    _.cloneDeep(message));
+  conditionallyAddDirectXRPPath(this._remote, pathfind.source.address,
+    undefined, paths, (error, result) => {
+      // a later update may have been handled while the balance was requested
+      if (this._isClosed || updateCount !== this._updateCount) {
+        return;
+      }
+      if (error) {
+        utils.common.emitError(this, error);
+      } else {
+        this.emit('paths', formatUpdate(pathfind, result));
+      }
+    });
+};
+
+PathWatcher.prototype.setDestinationAmount = function(amount: Object) {
+  const destination = _.assign({}, this._pathfind.destination, {amount});
+  const pathfind = _.assign({}, this._pathfind, {destination});
+  validate.pathfind(pathfind);
+  this._pathfind = pathfind;
+  // updates for the previous amount are ignored by the core PathFind
+  this._pathFind.dst_amount = createPathFindParams(pathfind).dst_amount;
+  if (!this._isClosed && this._remote._cur_path_find === this._pathFind) {
+    // creating the path_find again replaces the open one on the server
+    this._pathFind.create();
+  }
+};
+
+PathWatcher.prototype.close = function() {
+  if (!this._isClosed) {
+    this._isClosed = true;
+    this._remote.removeListener('disconnect', this._handleDisconnect);
+    this._pathFind.close();
+    this.emit('close');
+  }
+};
+
+function watchPaths(pathfind: Object, onUpdate: (paths: Array<Object>) => void
+): PathWatcher {
+  validate.pathfind(pathfind);
+  if (!_.isFunction(onUpdate)) {
+    throw new ValidationError('onUpdate must be a function');
+  }
+  utils.common.checkSubscriptionsSupported(this.remote);
+  const watcher = new PathWatcher(this.remote, pathfind);
+  watcher.on('paths', onUpdate);
+  this._pathWatchers.push(watcher);
+  watcher.on('close', () => _.pull(this._pathWatchers, watcher));
+  return watcher;
 }
 
-module.exports = getPaths;
+module.exports = {
+  getPaths,
+  watchPaths
+};
@@ -0,0 +1,48 @@
+/* @flow */
+'use strict';
+const utils = require('./utils');
+const parsePaymentChannel = require('./parse/paymentchannel');
+const validate = utils.common.validate;
+const errors = utils.common.errors;
+const convertErrors = utils.common.convertErrors;
+const RippleError = require('../../core/rippleerror').RippleError;
+
+const NotFoundError = errors.NotFoundError;
+
+function isEntryNotFound(error) {
+  return error instanceof RippleError && error.remote &&
+    error.remote.error === 'entryNotFound';
+}
+
+function getPaymentChannelAsync(id: string, options: Object,
+    cancellationToken: Object,
+    callback: (err: any, data: any) => void
+): void {
+  validate.identifier(id);
+  validate.callOptions(options);
+
+  const request = this.remote.requestLedgerEntry('payment_channel');
+  request.index(id);
+  request.selectLedger('validated');
+
+  utils.common.setCancellationToken(request, cancellationToken);
+  request.callback((error, response) => {
+    if (isEntryNotFound(error)) {
+      callback(new NotFoundError('Payment channel ledger entry not found'));
+    } else if (error) {
+      convertErrors(callback)(error);
+    } else if (response.node.LedgerEntryType !== 'PayChannel') {
+      callback(new NotFoundError('Payment channel ledger entry not found'));
+    } else {
+      callback(null, parsePaymentChannel(response.node));
+    }
+  });
+}
+
+function getPaymentChannel(id: string, options: Object = {}
+): Promise<Object> {
+  return utils.promisifyWithTimeout(getPaymentChannelAsync).call(this, id,
+    options);
+}
+
+module.exports = getPaymentChannel;
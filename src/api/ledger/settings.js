@@ -34,12 +34,14 @@ function getSettingsAsync(account, options, callback) {
     ledger: options.ledgerVersion || 'validated'
   };
 
-  this.remote.requestAccountInfo(request,
+  utils.sendRequest(this.remote.requestAccountInfo(request), undefined,
+    options.cancellationToken,
     composeAsync(formatSettings, convertErrors(callback)));
 }
 
 function getSettings(account: string, options = {}) {
-  return utils.promisify(getSettingsAsync).call(this, account, options);
+  return utils.promisifyWithOptions(getSettingsAsync).call(this,
+    account, options);
 }
 
 module.exports = getSettings;
@@ -0,0 +1,43 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const composeAsync = utils.common.composeAsync;
+const convertErrors = utils.common.convertErrors;
+const parseTicket = require('./parse/ticket');
+
+function requestAccountTickets(remote, address, ledgerVersion,
+  cancellationToken, marker, limit, callback
+) {
+  utils.sendRequest(remote.requestAccountObjects({
+    account: address,
+    type: 'ticket',
+    marker: marker,
+    limit: utils.clamp(limit, 10, 400),
+    ledger: ledgerVersion
+  }), undefined, cancellationToken,
+  composeAsync((data) => ({
+    marker: data.marker,
+    results: data.account_objects.map(parseTicket)
+  }), convertErrors(callback)));
+}
+
+function getTicketsAsync(account, options, callback) {
+  validate.address(account);
+  validate.getTicketsOptions(options);
+
+  const ledgerVersion = options.ledgerVersion
+                      || this.remote.getLedgerSequence();
+  const getter = _.partial(requestAccountTickets, this.remote, account,
+                           ledgerVersion, options.cancellationToken);
+  utils.getRecursive(getter, undefined, options.cancellationToken,
+    composeAsync((tickets) => _.sortBy(tickets, 'ticketSequence'), callback));
+}
+
+function getTickets(account: string, options = {}) {
+  return utils.promisifyWithOptions(getTicketsAsync).call(this,
+    account, options);
+}
+
+module.exports = getTickets;
@@ -15,7 +15,8 @@ import type {CallbackType, GetTransactionResponse,
   GetTransactionResponseCallback, TransactionOptions}
   from './transaction-types';
 
-function attachTransactionDate(remote: Remote, tx: Object,
+function attachTransactionDate(remote: Remote, server: ?Object,
+                              cancellationToken: ?Object, tx: Object,
                               callback: CallbackType
 ) {
   if (tx.date) {
@@ -27,7 +28,8 @@ function attachTransactionDate(remote: Remote, tx: Object,
     return;
   }
 
-  remote.requestLedger(tx.ledger_index, (error, data) => {
+  const request = remote.requestLedger(tx.ledger_index);
+  utils.sendRequest(request, server, cancellationToken, (error, data) => {
     if (error) {
       callback(new errors.NotFoundError('Transaction ledger not found'));
     } else if (typeof data.ledger.close_time === 'number') {
@@ -45,16 +47,10 @@ function isTransactionInRange(tx: Object, options: TransactionOptions) {
           || tx.ledger_index <= options.maxLedgerVersion);
 }
 
-function getTransactionAsync(identifier: string, options: TransactionOptions,
-                             callback: GetTransactionResponseCallback
+function getTransactionFromServer(remote: Remote, identifier: string,
+    options: TransactionOptions, maxLedgerVersion: number, server: ?Object,
+    callback: GetTransactionResponseCallback
 ) {
-  validate.identifier(identifier);
-  validate.getTransactionOptions(options);
-
-  const remote = this.remote;
-  const maxLedgerVersion = Math.min(options.maxLedgerVersion || Infinity,
-    remote.getLedgerSequence());
-
   function callbackWrapper(error_?: Error, tx?: Object) {
     let error = error_;
     if (error instanceof RippleError && error.remote &&
@@ -64,7 +60,7 @@ function getTransactionAsync(identifier: string, options: TransactionOptions,
 
     if (error instanceof errors.NotFoundError
         && !utils.hasCompleteLedgerRange(remote,
-            options.minLedgerVersion, maxLedgerVersion)) {
+            options.minLedgerVersion, maxLedgerVersion, server)) {
       callback(new errors.MissingLedgerHistoryError('Transaction not found,'
         + ' but the server\'s ledger history is incomplete'));
     } else if (!error && tx && !isTransactionInRange(tx, options)) {
@@ -79,16 +75,34 @@ function getTransactionAsync(identifier: string, options: TransactionOptions,
   }
 
   async.waterfall([
-    _.partial(remote.requestTx.bind(remote),
-      {hash: identifier, binary: false}),
-    _.partial(attachTransactionDate, remote)
+    _.partial(utils.sendRequest,
+      remote.requestTx({hash: identifier, binary: false}), server,
+      options.cancellationToken),
+    _.partial(attachTransactionDate, remote, server,
+      options.cancellationToken)
   ], callbackWrapper);
 }
 
+function getTransactionAsync(identifier: string, options: TransactionOptions,
+                             callback: GetTransactionResponseCallback
+) {
+  validate.identifier(identifier);
+  validate.getTransactionOptions(options);
+
+  const remote = this.remote;
+  const maxLedgerVersion = Math.min(options.maxLedgerVersion || Infinity,
+    remote.getLedgerSequence());
+
+  utils.queryLedgerRange(remote, options.minLedgerVersion, maxLedgerVersion,
+    _.partial(getTransactionFromServer, remote, identifier, options,
+      maxLedgerVersion), callback);
+}
+
 function getTransaction(identifier: string,
                         options: TransactionOptions = {}
 ): Promise<GetTransactionResponse> {
-  return utils.promisify(getTransactionAsync).call(this, identifier, options);
+  return utils.promisifyWithOptions(getTransactionAsync).call(this,
+    identifier, options);
 }
 
 module.exports = getTransaction;
@@ -67,7 +67,9 @@ function formatPartialResponse(address, options, data) {
   };
 }
 
-function getAccountTx(remote, address, options, marker, limit, callback) {
+function getAccountTx(remote, address, options, server, marker, limit,
+    callback
+) {
   const params = {
     account: address,
     ledger_index_min: options.minLedgerVersion || -1,
@@ -78,12 +80,13 @@ function getAccountTx(remote, address, options, marker, limit, callback) {
     marker: marker
   };
 
-  remote.requestAccountTx(params,
+  utils.sendRequest(remote.requestAccountTx(params), server,
+    options.cancellationToken,
     composeAsync(_.partial(formatPartialResponse, address, options),
       convertErrors(callback)));
 }
 
-function checkForLedgerGaps(remote, options, transactions) {
+function checkForLedgerGaps(remote, options, server, transactions) {
   let {minLedgerVersion, maxLedgerVersion} = options;
 
   // if we reached the limit on number of transactions, then we can shrink
@@ -98,23 +101,32 @@ function checkForLedgerGaps(remote, options, transactions) {
   }
 
   if (!utils.hasCompleteLedgerRange(remote, minLedgerVersion,
-      maxLedgerVersion)) {
+      maxLedgerVersion, server)) {
     throw new utils.common.errors.MissingLedgerHistoryError();
   }
 }
 
-function formatResponse(remote, options, transactions) {
+function formatResponse(remote, options, server, transactions) {
   const compare = options.earliestFirst ? utils.compareTransactions :
     _.rearg(utils.compareTransactions, 1, 0);
   const sortedTransactions = transactions.sort(compare);
-  checkForLedgerGaps(remote, options, sortedTransactions);
+  checkForLedgerGaps(remote, options, server, sortedTransactions);
   return sortedTransactions;
 }
 
+function getTransactionsFromServer(remote, address, options, server,
+    callback
+) {
+  const getter = _.partial(getAccountTx, remote, address, options, server);
+  const format = _.partial(formatResponse, remote, options, server);
+  utils.getRecursive(getter, options.limit, options.cancellationToken,
+    composeAsync(format, callback));
+}
+
 function getTransactionsInternal(remote, address, options, callback) {
-  const getter = _.partial(getAccountTx, remote, address, options);
-  const format = _.partial(formatResponse, remote, options);
-  utils.getRecursive(getter, options.limit, composeAsync(format, callback));
+  utils.queryLedgerRange(remote, options.minLedgerVersion,
+    options.maxLedgerVersion, _.partial(getTransactionsFromServer, remote,
+      address, options), callback);
 }
 
 function getTransactionsAsync(account, options, callback) {
@@ -123,7 +135,8 @@ function getTransactionsAsync(account, options, callback) {
 
   const defaults = {maxLedgerVersion: this.remote.getLedgerSequence()};
   if (options.start) {
-    getTransaction.call(this, options.start).then(tx => {
+    const startOptions = {cancellationToken: options.cancellationToken};
+    getTransaction.call(this, options.start, startOptions).then(tx => {
       const ledgerVersion = tx.outcome.ledgerVersion;
       const bound = options.earliestFirst ?
         {minLedgerVersion: ledgerVersion} : {maxLedgerVersion: ledgerVersion};
@@ -137,7 +150,8 @@ function getTransactionsAsync(account, options, callback) {
 }
 
 function getTransactions(account: string, options = {}) {
-  return utils.promisify(getTransactionsAsync).call(this, account, options);
+  return utils.promisifyWithOptions(getTransactionsAsync).call(this,
+    account, options);
 }
 
 module.exports = getTransactions;
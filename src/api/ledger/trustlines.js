@@ -19,8 +19,8 @@ function formatResponse(options, data) {
   };
 }
 
-function getAccountLines(remote, address, ledgerVersion, options, marker, limit,
-    callback
+function getAccountLines(remote, address, ledgerVersion, options, server,
+    marker, limit, callback
 ) {
   const requestOptions = {
     account: address,
@@ -30,7 +30,8 @@ function getAccountLines(remote, address, ledgerVersion, options, marker, limit,
     peer: options.counterparty
   };
 
-  remote.requestAccountLines(requestOptions,
+  utils.sendRequest(remote.requestAccountLines(requestOptions), server,
+    options.cancellationToken,
     composeAsync(_.partial(formatResponse, options),
       convertErrors(callback)));
 }
@@ -44,13 +45,18 @@ function getTrustlinesAsync(account: string, options: {currency: string,
 
   const ledgerVersion = options.ledgerVersion
                       || this.remote.getLedgerSequence();
-  const getter = _.partial(getAccountLines, this.remote, account,
-                           ledgerVersion, options);
-  utils.getRecursive(getter, options.limit, callback);
+  utils.queryLedgerRange(this.remote, ledgerVersion, ledgerVersion,
+    (server, _callback) => {
+      const getter = _.partial(getAccountLines, this.remote, account,
+                               ledgerVersion, options, server);
+      utils.getRecursive(getter, options.limit,
+        options.cancellationToken, _callback);
+    }, callback);
 }
 
 function getTrustlines(account: string, options = {}) {
-  return utils.promisify(getTrustlinesAsync).call(this, account, options);
+  return utils.promisifyWithOptions(getTrustlinesAsync).call(this,
+    account, options);
 }
 
 module.exports = getTrustlines;
@@ -5,47 +5,114 @@ const assert = require('assert');
 const common = require('../common');
 const dropsToXrp = common.dropsToXrp;
 const composeAsync = common.composeAsync;
+const convertErrors = common.convertErrors;
+const RippleError = require('../../core/rippleerror').RippleError;
 import type {Remote} from '../../core/remote';
 
 type Callback = (err: any, data: any) => void
+type CancellationToken = {isCancelled: () => boolean, getError: () => ?Error,
+  onCancel: (listener: (error: Error) => void) => () => void}
+
+const FIRST_LEDGER_VERSION = 32570; // earlier versions have been lost
 
 function clamp(value: number, min: number, max: number): number {
   assert(min <= max, 'Illegal clamp bounds');
   return Math.min(Math.max(value, min), max);
 }
 
+// sends request to server, or to the server that Remote selects if no
+// server is given; the request is cancelled with the cancellation token
+function sendRequest(request: Object, server: ?Object,
+    cancellationToken?: CancellationToken, callback: Callback
+): void {
+  common.setCancellationToken(request, cancellationToken);
+  if (!server) {
+    request.callback(callback);
+    return;
+  }
+
+  // a request for a specific server does not fail over to another server,
+  // whose history may not cover the query, so it fails with a NetworkError
+  // if the server disconnects instead of waiting for it forever
+  function onDisconnect() {
+    request.cancel();
+    callback(new common.errors.NetworkError('Disconnected from '
+      + server.getServerID()));
+  }
+  function removeListener() {
+    server.removeListener('disconnect', onDisconnect);
+  }
+  server.once('disconnect', onDisconnect);
+  if (cancellationToken !== undefined) {
+    cancellationToken.onCancel(removeListener);
+  }
+  request.setServer(server);
+  request.callback((error, data) => {
+    removeListener();
+    callback(error, data);
+  });
+}
+
 function getXRPBalance(remote: Remote, address: string, ledgerVersion?: number,
+                       cancellationToken?: CancellationToken, server: ?Object,
                        callback: Callback
 ): void {
-  remote.requestAccountInfo({account: address, ledger: ledgerVersion},
+  sendRequest(remote.requestAccountInfo({account: address,
+    ledger: ledgerVersion}), server, cancellationToken,
     composeAsync((data) => dropsToXrp(data.account_data.Balance), callback));
 }
 
+// account is to specify a "perspective", which affects which unfunded offers
+// are returned
+function getBookOffers(remote: Remote, account: ?string,
+    ledgerVersion: ?number, limit: ?number,
+    cancellationToken?: CancellationToken, takerGets: Object,
+    takerPays: Object, callback: Callback
+): void {
+  sendRequest(remote.requestBookOffers(renameCounterpartyToIssuerInOrder({
+    taker_gets: takerGets,
+    taker_pays: takerPays,
+    ledger: ledgerVersion || 'validated',
+    limit: limit,
+    taker: account
+  })), undefined, cancellationToken,
+    composeAsync(data => data.offers, convertErrors(callback)));
+}
+
 type Getter = (marker: ?string, limit: number, callback: Callback) => void
 
 // If the marker is omitted from a response, you have reached the end
 // getter(marker, limit, callback), callback(error, {marker, results})
 function getRecursiveRecur(getter: Getter, marker?: string, limit: number,
+                          cancellationToken?: CancellationToken,
                           callback: Callback
 ): void {
+  // stop paging once the call that wants the results has failed
+  if (cancellationToken && cancellationToken.isCancelled()) {
+    return callback(cancellationToken.getError());
+  }
   getter(marker, limit, (error, data) => {
     if (error) {
       return callback(error);
     }
     const remaining = limit - data.results.length;
     if (remaining > 0 && data.marker !== undefined) {
-      getRecursiveRecur(getter, data.marker, remaining, (_error, results) => {
-        return _error ? callback(_error) :
-          callback(null, data.results.concat(results));
-      });
+      getRecursiveRecur(getter, data.marker, remaining, cancellationToken,
+        (_error, results) => {
+          return _error ? callback(_error) :
+            callback(null, data.results.concat(results));
+        });
     } else {
       return callback(null, data.results.slice(0, limit));
     }
   });
 }
 
-function getRecursive(getter: Getter, limit?: number, callback: Callback) {
-  getRecursiveRecur(getter, undefined, limit || Infinity, callback);
+function getRecursive(getter: Getter, limit?: number,
+    cancellationToken?: CancellationToken, callback: Callback
+) {
+  getRecursiveRecur(getter, undefined, limit || Infinity, cancellationToken,
+    callback);
 }
 
 type Amount = {counterparty?: string, issuer?: string, value: string}
@@ -97,22 +164,76 @@ function compareTransactions(first: Outcome, second: Outcome): number {
 }
 
 function hasCompleteLedgerRange(remote: Remote, minLedgerVersion?: number,
-                                maxLedgerVersion?: number
+    maxLedgerVersion?: number, server?: Object
 ): boolean {
-  const firstLedgerVersion = 32570; // earlier versions have been lost
-  return remote.getServer().hasLedgerRange(
-    minLedgerVersion || firstLedgerVersion,
+  return (server || remote.getServer()).hasLedgerRange(
+    minLedgerVersion || FIRST_LEDGER_VERSION,
     maxLedgerVersion || remote.getLedgerSequence());
 }
 
+// connected servers whose history covers the range, starting with the
+// server that Remote would select anyway
+function getServersWithLedgerRange(remote: Remote, minLedgerVersion?: number,
+    maxLedgerVersion?: number
+): Array<Object> {
+  const selectedServer = remote.getServer();
+  const servers = remote.getConnectedServers().filter(server =>
+    hasCompleteLedgerRange(remote, minLedgerVersion, maxLedgerVersion, server));
+  return _.sortBy(servers, server => server === selectedServer ? 0 : 1);
+}
+
+// rippled reports lgrNotFound for a ledger outside of its history, and the
+// error may already be wrapped by convertErrors
+function isMissingLedgerHistory(error: any): boolean {
+  const rippledError = error instanceof common.errors.RippleError ?
+    error.message : error;
+  return error instanceof common.errors.MissingLedgerHistoryError
+    || (rippledError instanceof RippleError && Boolean(rippledError.remote)
+      && rippledError.remote.error === 'lgrNotFound');
+}
+
+type Query = (server: ?Object, callback: Callback) => void
+
+// the query is made on each server whose history covers the range in turn,
+// until one of them has the ledgers it needs or all of them have
+// disconnected; if no server covers the range, it is made on the server that
+// Remote selects
+function queryLedgerRange(remote: Remote, minLedgerVersion?: number,
+    maxLedgerVersion?: number, query: Query, callback: Callback
+): void {
+  const servers = getServersWithLedgerRange(remote, minLedgerVersion,
+    maxLedgerVersion);
+
+  function queryServer(index) {
+    query(servers[index], (error, data) => {
+      const isDisconnected = error instanceof common.errors.NetworkError;
+      if ((isMissingLedgerHistory(error) || isDisconnected)
+          && index + 1 < servers.length) {
+        queryServer(index + 1);
+      } else if (isDisconnected) {
+        query(undefined, callback);
+      } else {
+        callback(error, data);
+      }
+    });
+  }
+
+  queryServer(0);
+}
+
 module.exports = {
   getXRPBalance,
+  getBookOffers,
   compareTransactions,
   renameCounterpartyToIssuer,
   renameCounterpartyToIssuerInOrder,
   getRecursive,
   hasCompleteLedgerRange,
+  queryLedgerRange,
+  sendRequest,
   promisify: common.promisify,
+  promisifyWithTimeout: common.promisifyWithTimeout,
+  promisifyWithOptions: common.promisifyWithOptions,
   clamp: clamp,
   common: common
 };
@@ -0,0 +1,74 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const common = require('../common');
+const core = common.core;
+const validate = common.validate;
+const ValidationError = common.errors.ValidationError;
+
+// fields that are not part of the data that is signed
+const NON_SIGNING_FIELDS = ['TxnSignature', 'Signers'];
+
+// core throws plain errors for fields it cannot serialize or parse
+function convertCoreErrors<T>(f: () => T): () => T {
+  return function() {
+    try {
+      return f.apply(this, arguments);
+    } catch (error) {
+      if (error instanceof common.errors.RippleError) {
+        throw error;
+      }
+      throw new ValidationError(error.message);
+    }
+  };
+}
+
+// to_json adds parsed_memo_* fields for convenience, but they are not part
+// of the binary format and would break the round trip
+function removeParsedMemos(json: Object): Object {
+  if (json.Memos === undefined) {
+    return json;
+  }
+  return _.assign({}, json, {Memos: json.Memos.map(memo => ({
+    Memo: _.omit(memo.Memo, (value, key) => _.startsWith(key, 'parsed_memo_'))
+  }))});
+}
+
+function encode(json: Object): string {
+  validate.encode(json);
+  return core.SerializedObject.from_json(json).to_hex();
+}
+
+function decode(hex: string): Object {
+  validate.blob(hex);
+  const json = removeParsedMemos(new core.SerializedObject(hex).to_json());
+  if (core.SerializedObject.from_json(json).to_hex() !== hex) {
+    throw new ValidationError('hex contains fields that cannot be decoded'
+      + ' without loss');
+  }
+  return json;
+}
+
+function encodeForSigning(txJSON: Object): string {
+  validate.txJSON(txJSON);
+  const tx = _.omit(txJSON, NON_SIGNING_FIELDS);
+  return core.Transaction.from_json(tx).signingData().to_hex();
+}
+
+function encodeForMultisigning(txJSON: Object, signer: string): string {
+  validate.txJSON(txJSON);
+  validate.address(signer);
+  if (txJSON.SigningPubKey !== '') {
+    throw new ValidationError(
+      'SigningPubKey must be empty for a multi-signed transaction');
+  }
+  const tx = _.omit(txJSON, NON_SIGNING_FIELDS);
+  return core.Transaction.from_json(tx).multiSigningData(signer).to_hex();
+}
+
+module.exports = {
+  encode: convertCoreErrors(encode),
+  decode: convertCoreErrors(decode),
+  encodeForSigning: convertCoreErrors(encodeForSigning),
+  encodeForMultisigning: convertCoreErrors(encodeForMultisigning)
+};
@@ -0,0 +1,57 @@
+/* @flow */
+'use strict';
+const BigNumber = require('bignumber.js');
+const keypairs = require('ripple-keypairs');
+const common = require('../common');
+const core = common.core;
+const validate = common.validate;
+
+// claims are signed with the 'CLM' prefix so that the signature cannot be
+// replayed as a signature of some other kind of data
+const HASH_PAYMENT_CHANNEL_CLAIM = 0x434C4D00; // 'CLM'
+
+function getKeyPair(secret) {
+  return core.Seed.from_json(secret).get_key();
+}
+
+function getPublicKeyPair(publicKey) {
+  return publicKey.slice(0, 2).toUpperCase() === 'ED' ?
+    keypairs.Ed25519Pair.fromPublic(publicKey) :
+    new keypairs.K256Pair({pubBytes: core.utils.hexToArray(publicKey)});
+}
+
+function claimSigningData(channel: string, amount: string): Array<number> {
+  const drops = new BigNumber(common.xrpToDrops(amount)).toString(16);
+  const serialized = new core.SerializedObject();
+  core.types.Int32.serialize(serialized, HASH_PAYMENT_CHANNEL_CLAIM);
+  core.types.Hash256.serialize(serialized, channel);
+  core.types.Int64.serialize(serialized, drops);
+  return serialized.buffer;
+}
+
+function signPaymentChannelClaim(channel: string, amount: string,
+    secret: string
+): string {
+  validate.identifier(channel);
+  validate.value(amount);
+  validate.secret(secret);
+
+  return getKeyPair(secret).signHex(claimSigningData(channel, amount));
+}
+
+function verifyPaymentChannelClaim(channel: string, amount: string,
+    signature: string, publicKey: string
+): boolean {
+  validate.identifier(channel);
+  validate.value(amount);
+  validate.paymentChannelClaimSignature(signature);
+  validate.publicKey(publicKey);
+
+  return getPublicKeyPair(publicKey).verify(
+    claimSigningData(channel, amount), core.utils.hexToArray(signature));
+}
+
+module.exports = {
+  signPaymentChannelClaim,
+  verifyPaymentChannelClaim
+};
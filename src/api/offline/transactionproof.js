@@ -0,0 +1,39 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const common = require('../common');
+const computeLedgerHash = require('./ledgerhash');
+const validate = common.validate;
+
+// transactions are in the same format as the rawTransactions of getLedger:
+// either the transaction fields or a tx field, plus a meta field
+function convertTransaction(txWithMeta: Object): Object {
+  const tx = _.assign({}, _.omit(txWithMeta, ['tx', 'meta']),
+    txWithMeta.tx || {});
+  return _.assign(_.omit(tx, 'metaData'),
+    {metaData: txWithMeta.meta || tx.metaData});
+}
+
+function verifyTransactionProof(txWithMeta: Object,
+    proofPath: Array<Array<string>>, ledgerHeader: Object
+): boolean {
+  validate.transactionProof(proofPath);
+  validate.ledgerHeader(ledgerHeader);
+  const tx = convertTransaction(txWithMeta);
+  validate.txJSON(tx);
+  if (tx.metaData === undefined) {
+    throw new common.errors.ValidationError(
+      'txWithMeta must include the metadata of the transaction');
+  }
+
+  // the proof is only as trustworthy as the header, so the header must hash
+  // to its ledgerHash, which is what is validated by the network
+  const header = _.omit(ledgerHeader, ['rawTransactions', 'rawState']);
+  if (computeLedgerHash(header) !== ledgerHeader.ledgerHash) {
+    return false;
+  }
+  return common.core.Ledger.verifyTransactionProof(tx, proofPath,
+    ledgerHeader.transactionHash);
+}
+
+module.exports = verifyTransactionProof;
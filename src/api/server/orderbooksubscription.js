@@ -0,0 +1,204 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const async = require('async');
+const common = require('../common');
+const parseOrderbook = require('../ledger/parse/orderbook');
+const validate = common.validate;
+const errors = common.errors;
+const convertErrors = common.convertErrors;
+
+type Handler = (event: Object) => void
+
+// the core OrderBook stores funded amounts as plain values on every offer,
+// but rippled only provides them, as amounts, for partially funded offers
+function withValue(amount: string | Object, value: string): string | Object {
+  return typeof amount === 'string' ? value : _.assign({}, amount, {value});
+}
+
+function formatOffer(offer: Object): Object {
+  if (offer.is_fully_funded) {
+    return _.omit(offer, ['taker_gets_funded', 'taker_pays_funded']);
+  }
+  return _.assign({}, offer, {
+    taker_gets_funded: withValue(offer.TakerGets, offer.taker_gets_funded),
+    taker_pays_funded: withValue(offer.TakerPays, offer.taker_pays_funded)
+  });
+}
+
+function formatOrderbook(orderbook: Object, offers: Array<Object>): Object {
+  return parseOrderbook(orderbook, offers.map(formatOffer), {});
+}
+
+function formatOrderChange(type: string, orderbook: Object, offer: Object
+): Object {
+  const orders = formatOrderbook(orderbook, [offer]);
+  return orders.bids.length > 0 ?
+    {type, side: 'bid', order: orders.bids[0]} :
+    {type, side: 'ask', order: orders.asks[0]};
+}
+
+function createBook(remote, takerGets, takerPays) {
+  return remote.createOrderBook({
+    currency_gets: takerGets.currency,
+    issuer_gets: takerGets.counterparty,
+    currency_pays: takerPays.currency,
+    issuer_pays: takerPays.counterparty
+  });
+}
+
+// the core OrderBook subscribes while it has listeners, resyncs its offers
+// after a reconnect, and emits 'model' whenever its offers have changed
+function createSubscription(orderbook: Object, handler: Handler) {
+  const remote = this.remote;
+  const books = {
+    asks: createBook(remote, orderbook.base, orderbook.counter),
+    bids: createBook(remote, orderbook.counter, orderbook.base)
+  };
+  const listeners = [];
+  let models = {};
+  let snapshot = undefined;
+  let isSubscribed = true;
+
+  const deliver = (format, ...args) => {
+    let event;
+    try {
+      event = format(...args);
+    } catch (error) {
+      common.emitError(this, new errors.ApiError(error.message));
+      return;
+    }
+    if (event !== undefined) {
+      handler(event);
+    }
+  };
+
+  function listen(emitter, event, listener) {
+    emitter.on(event, listener);
+    listeners.push({emitter, event, listener});
+  }
+
+  function formatSnapshot() {
+    return _.assign({type: 'orderbook'},
+      formatOrderbook(orderbook, models.asks.concat(models.bids)));
+  }
+
+  function setModel(side, offers) {
+    // autobridged offers are not part of the book, as in getOrderbook
+    models[side] = offers.filter(offer => !offer.autobridged);
+    if (models.asks === undefined || models.bids === undefined) {
+      return;
+    }
+    // the book also emits 'model' when only its autobridged offers changed
+    deliver(() => {
+      const previous = snapshot;
+      snapshot = formatSnapshot();
+      return _.isEqual(snapshot, previous) ? undefined : snapshot;
+    });
+  }
+
+  _.forEach(books, (book, side) => {
+    listen(book, 'offer_added', offer =>
+      deliver(formatOrderChange, 'added', orderbook, offer));
+    listen(book, 'offer_changed', (previousOffer, offer) =>
+      deliver(formatOrderChange, 'changed', orderbook, offer));
+    listen(book, 'offer_removed', offer =>
+      deliver(formatOrderChange, 'removed', orderbook, offer));
+    // getOffers calls back immediately if the book is already synced,
+    // otherwise on the next 'model' event
+    book.getOffers((error, offers) => {
+      if (!isSubscribed) {
+        return;
+      }
+      setModel(side, offers);
+      listen(book, 'model', _.partial(setModel, side));
+    });
+  });
+
+  // wait for both books to resync before delivering the next snapshot
+  listen(remote, 'disconnect', () => {
+    models = {};
+    snapshot = undefined;
+  });
+
+  return {
+    orderbook,
+    handler,
+    books,
+    unsubscribe: () => {
+      isSubscribed = false;
+      listeners.forEach(({emitter, event, listener}) => {
+        emitter.removeListener(event, listener);
+      });
+    }
+  };
+}
+
+// calls back once the book has subscribed to transactions, or with the error
+// of the request that failed
+function whenSubscribed(book: Object, callback: (err: any) => void): void {
+  if (book._subscribed) {
+    callback(null);
+    return;
+  }
+  function onSubscribed() {
+    book.removeListener('subscribe_error', onError);
+    callback(null);
+  }
+  function onError(error) {
+    book.removeListener('subscribed', onSubscribed);
+    callback(error);
+  }
+  book.once('subscribed', onSubscribed);
+  book.once('subscribe_error', onError);
+}
+
+function subscribeOrderbookAsync(orderbook: Object, handler: Handler,
+    callback: (err: any, data: any) => void
+): void {
+  validate.orderbook(orderbook);
+  if (!_.isFunction(handler)) {
+    throw new errors.ValidationError('handler must be a function');
+  }
+  common.checkSubscriptionsSupported(this.remote);
+
+  const subscription = createSubscription.call(this, orderbook, handler);
+  this._orderbookSubscriptions.push(subscription);
+  async.parallel(_.map(subscription.books, book =>
+    _.partial(whenSubscribed, book)), error => {
+    if (error) {
+      _.pull(this._orderbookSubscriptions, subscription);
+      subscription.unsubscribe();
+    }
+    convertErrors(callback)(error);
+  });
+}
+
+function unsubscribeOrderbookAsync(orderbook: Object, handler: Handler,
+    callback: (err: any, data: any) => void
+): void {
+  validate.orderbook(orderbook);
+
+  const removed = _.remove(this._orderbookSubscriptions, subscription =>
+    subscription.handler === handler
+    && _.isEqual(subscription.orderbook, orderbook));
+  removed.forEach(subscription => subscription.unsubscribe());
+  callback(null);
+}
+
+function subscribeOrderbook(orderbook: Object, handler: Handler
+): Promise<void> {
+  return common.promisify(subscribeOrderbookAsync).call(this,
+    orderbook, handler);
+}
+
+function unsubscribeOrderbook(orderbook: Object, handler: Handler
+): Promise<void> {
+  return common.promisify(unsubscribeOrderbookAsync).call(this,
+    orderbook, handler);
+}
+
+module.exports = {
+  subscribeOrderbook,
+  unsubscribeOrderbook
+};
@@ -3,11 +3,17 @@
 'use strict';
 
 const _ = require('lodash');
+const BigNumber = require('bignumber.js');
 const common = require('../common');
+const removeUndefined = require('../ledger/parse/utils').removeUndefined;
 import type {Remote} from '../../core/remote';
 
 // If a ledger is not received in this time, consider the connection offline
 const CONNECTION_TIMEOUT = 1000 * 30;
+// all transactions currently have a fee of 10 fee units
+const FEE_UNITS = 10;
+// 'urgent' pays double the recommended fee to stay ahead of rising load
+const URGENT_FEE_MULTIPLIER = 2;
 
 type GetServerInfoResponse = {
   buildVersion: string,
@@ -48,10 +54,13 @@ function isConnected(): boolean {
   return Boolean(this.remote._ledger_current_index) && isUpToDate(this.remote);
 }
 
-function getServerInfoAsync(
+function getServerInfoAsync(options: Object, cancellationToken: Object,
   callback: (err: any, data?: GetServerInfoResponse) => void
 ): void {
-  this.remote.requestServerInfo((error, response) => {
+  common.validate.callOptions(options);
+  const request = this.remote.requestServerInfo();
+  common.setCancellationToken(request, cancellationToken);
+  request.callback((error, response) => {
     if (error) {
       const message =
         _.get(error, ['remote', 'error_message'], error.message);
@@ -67,6 +76,79 @@ function getFee(): number {
   return common.dropsToXrp(this.remote.createTransaction()._computeFee());
 }
 
+type FeeEstimateDrops = {
+  base: BigNumber,
+  loadFactor: BigNumber,
+  current: BigNumber,
+  recommended: BigNumber,
+  urgent: BigNumber
+}
+
+// the same computation as Server._feeTxUnit, but with each step exposed
+function estimateFeeDrops(remote: Remote): FeeEstimateDrops {
+  const server = remote.getServer();
+  if (!server) {
+    throw new common.errors.RippledNetworkError();
+  }
+  const base = new BigNumber(server._fee_base).dividedBy(server._fee_ref)
+    .times(FEE_UNITS);
+  const loadFactor = new BigNumber(server._load_factor)
+    .dividedBy(server._load_base);
+  const current = base.times(loadFactor);
+  const recommended = current.times(server._fee_cushion);
+  return {
+    base: base.ceil(),
+    loadFactor,
+    current: current.ceil(),
+    recommended: recommended.ceil(),
+    urgent: recommended.times(URGENT_FEE_MULTIPLIER).ceil()
+  };
+}
+
+function getFeeEstimate(): Object {
+  const drops = estimateFeeDrops(this.remote);
+  return {
+    baseFee: common.dropsToXrp(drops.base.toString()),
+    loadFactor: drops.loadFactor.toNumber(),
+    currentFee: common.dropsToXrp(drops.current.toString()),
+    recommendedFee: common.dropsToXrp(drops.recommended.toString()),
+    urgentFee: common.dropsToXrp(drops.urgent.toString())
+  };
+}
+
+type ConnectedServer = {
+  url: string,
+  isHealthy: boolean,
+  score: number,
+  lastLedgerVersion?: number,
+  ledgerLag?: number,
+  latencyMs?: number,
+  loadFactor: number,
+  completeLedgers?: string
+}
+
+// the server has not closed a ledger or answered a request yet
+function unlessNaN(value: number): ?number {
+  return isNaN(value) ? undefined : value;
+}
+
+function formatConnectedServer(server: Object): ConnectedServer {
+  return removeUndefined({
+    url: server._url,
+    isHealthy: server.isHealthy(),
+    score: server._score,
+    lastLedgerVersion: unlessNaN(server.getLastLedgerIndex()),
+    ledgerLag: unlessNaN(server.getLedgerLag()),
+    latencyMs: unlessNaN(server._latency),
+    loadFactor: server._load_factor / server._load_base,
+    completeLedgers: server._ledgerRanges.serialize() || undefined
+  });
+}
+
+function getConnectedServers(): Array<ConnectedServer> {
+  return this.remote.getConnectedServers().map(formatConnectedServer);
+}
+
 function getLedgerVersion(): number {
   return this.remote.getLedgerSequence();
 }
@@ -83,8 +165,27 @@ function disconnect(): Promise<void> {
   })();
 }
 
-function getServerInfo(): Promise<GetServerInfoResponse> {
-  return common.promisify(getServerInfoAsync.bind(this))();
+function getServerInfo(options: Object = {}
+): Promise<GetServerInfoResponse> {
+  return common.promisifyWithTimeout(getServerInfoAsync).call(this, options);
+}
+
+function parseTimestamp(rippleTime: number): string {
+  return (new Date(common.core.utils.toTimestamp(rippleTime))).toISOString();
+}
+
+function formatLedgerClose(ledgerClose: Object): Object {
+  return {
+    feeBase: ledgerClose.fee_base,
+    feeReference: ledgerClose.fee_ref,
+    ledgerHash: ledgerClose.ledger_hash,
+    ledgerVersion: ledgerClose.ledger_index,
+    ledgerTimestamp: parseTimestamp(ledgerClose.ledger_time),
+    reserveBase: ledgerClose.reserve_base,
+    reserveIncrement: ledgerClose.reserve_inc,
+    transactionCount: ledgerClose.txn_count,
+    validatedLedgerVersions: ledgerClose.validated_ledgers
+  };
 }
 
 module.exports = {
@@ -93,5 +194,9 @@ module.exports = {
   isConnected,
   getServerInfo,
   getFee,
-  getLedgerVersion
+  getFeeEstimate,
+  estimateFeeDrops,
+  getConnectedServers,
+  getLedgerVersion,
+  formatLedgerClose
 };
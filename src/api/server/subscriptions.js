@@ -0,0 +1,103 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const common = require('../common');
+const parseTransaction = require('../ledger/parse/transaction');
+const validate = common.validate;
+const composeAsync = common.composeAsync;
+const convertErrors = common.convertErrors;
+
+// rippled streams the transaction and its metadata as separate fields
+// while 'tx' and 'account_tx' nest the metadata inside the transaction
+function formatStreamTransaction(message: Object): Object {
+  return _.assign({}, message.transaction, {
+    meta: message.meta,
+    ledger_index: message.ledger_index,
+    validated: message.validated
+  });
+}
+
+function isSubscribedTransaction(subscribedAccounts: Object, message: Object
+): boolean {
+  return Boolean(message.validated) && message.mmeta !== undefined &&
+    _.some(message.mmeta.getAffectedAccounts(),
+      account => subscribedAccounts[account]);
+}
+
+function handleTransaction(message: Object): void {
+  if (!isSubscribedTransaction(this._subscribedAccounts, message)) {
+    return;
+  }
+  let transaction;
+  try {
+    transaction = parseTransaction(formatStreamTransaction(message));
+  } catch (error) {
+    common.emitError(this, new common.errors.ApiError(error.message));
+    return;
+  }
+  this.emit('transaction', transaction);
+}
+
+// re-subscribe to all accounts when the connection is re-established
+function handlePrepareSubscribe(request: Object): void {
+  const addresses = _.keys(this._subscribedAccounts);
+  if (addresses.length > 0) {
+    request.addAccount(addresses);
+  }
+}
+
+function subscribeAccountsAsync(addresses: Array<string>,
+    callback: (err: any, data: any) => void
+): void {
+  validate.addresses(addresses);
+  common.checkSubscriptionsSupported(this.remote);
+
+  const newAddresses = addresses.filter(
+    address => !this._subscribedAccounts[address]);
+  if (newAddresses.length === 0) {
+    callback(null);
+    return;
+  }
+
+  this.remote.requestSubscribe().addAccount(newAddresses).request(
+    composeAsync(() => {
+      newAddresses.forEach(address => {
+        this._subscribedAccounts[address] = true;
+      });
+    }, convertErrors(callback)));
+}
+
+function unsubscribeAccountsAsync(addresses: Array<string>,
+    callback: (err: any, data: any) => void
+): void {
+  validate.addresses(addresses);
+
+  const subscribedAddresses = addresses.filter(
+    address => this._subscribedAccounts[address]);
+  if (subscribedAddresses.length === 0) {
+    callback(null);
+    return;
+  }
+
+  this.remote.requestUnsubscribe().addAccount(subscribedAddresses).request(
+    composeAsync(() => {
+      subscribedAddresses.forEach(address => {
+        delete this._subscribedAccounts[address];
+      });
+    }, convertErrors(callback)));
+}
+
+function subscribeAccounts(addresses: Array<string>): Promise<void> {
+  return common.promisify(subscribeAccountsAsync).call(this, addresses);
+}
+
+function unsubscribeAccounts(addresses: Array<string>): Promise<void> {
+  return common.promisify(unsubscribeAccountsAsync).call(this, addresses);
+}
+
+module.exports = {
+  subscribeAccounts,
+  unsubscribeAccounts,
+  handleTransaction,
+  handlePrepareSubscribe
+};
@@ -0,0 +1,50 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const errors = utils.common.errors;
+const core = utils.common.core;
+
+function decode(signedTransaction) {
+  return new core.SerializedObject(signedTransaction).to_json();
+}
+
+// rippled requires signers to be sorted by the numeric value of their
+// account IDs, not by their base58 encoding
+function compareSigners(a, b) {
+  return core.UInt160.from_json(a.Signer.Account).cmp(
+    core.UInt160.from_json(b.Signer.Account));
+}
+
+function combine(signedTransactions: Array<string>
+): {signedTransaction: string; id: string} {
+  validate.blobs(signedTransactions);
+
+  const txs = _.map(signedTransactions, decode);
+  const tx = _.omit(txs[0], 'Signers');
+  if (!_.every(txs, _tx => _.isEqual(tx, _.omit(_tx, 'Signers')))) {
+    throw new errors.ValidationError(
+      'txJSON is not the same for all signedTransactions');
+  }
+  const signers = _.flatten(_.map(txs, _tx => _tx.Signers || []));
+  if (_.isEmpty(signers)) {
+    throw new errors.ValidationError(
+      'signedTransactions must be signed with the signAs option');
+  }
+  if (_.uniq(signers, signer => signer.Signer.Account).length
+      !== signers.length) {
+    throw new errors.ValidationError(
+      'signedTransactions must not contain duplicate signers');
+  }
+
+  const signedTx = _.assign({}, tx, {Signers: signers.sort(compareSigners)});
+  const serialized = core.SerializedObject.from_json(signedTx);
+  return {
+    signedTransaction: serialized.to_hex(),
+    id: core.Transaction.from_json(signedTx).hash('HASH_TX_ID', false,
+      serialized)
+  };
+}
+
+module.exports = combine;
@@ -0,0 +1,44 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+function createEscrowCancellationTransaction(account, escrowCancellation) {
+  validate.address(account);
+  validate.escrowCancellation(escrowCancellation);
+
+  const transaction = new Transaction();
+  transaction.escrowCancel({
+    account: account,
+    owner: escrowCancellation.owner,
+    offerSequence: escrowCancellation.escrowSequence
+  });
+
+  if (escrowCancellation.memos) {
+    _.forEach(escrowCancellation.memos, memo =>
+      transaction.addMemo(memo.type, memo.format, memo.data)
+    );
+  }
+
+  return transaction;
+}
+
+function prepareEscrowCancelAsync(account, escrowCancellation,
+  instructions, cancellationToken, callback
+) {
+  const transaction =
+    createEscrowCancellationTransaction(account, escrowCancellation);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function prepareEscrowCancel(account: string, escrowCancellation: Object,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(prepareEscrowCancelAsync).call(this,
+    account, escrowCancellation, instructions);
+}
+
+module.exports = prepareEscrowCancel;
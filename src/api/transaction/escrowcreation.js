@@ -0,0 +1,58 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+function createEscrowCreationTransaction(account, escrowCreation) {
+  validate.address(account);
+  validate.escrowCreation(escrowCreation);
+
+  const transaction = new Transaction();
+  transaction.escrowCreate({
+    account: account,
+    destination: escrowCreation.destination,
+    amount: utils.common.xrpToDrops(escrowCreation.amount)
+  });
+
+  if (escrowCreation.condition) {
+    transaction.setCondition(escrowCreation.condition);
+  }
+  if (escrowCreation.allowCancelAfter) {
+    transaction.setCancelAfter(new Date(escrowCreation.allowCancelAfter));
+  }
+  if (escrowCreation.allowExecuteAfter) {
+    transaction.setFinishAfter(new Date(escrowCreation.allowExecuteAfter));
+  }
+  if (escrowCreation.sourceTag) {
+    transaction.sourceTag(escrowCreation.sourceTag);
+  }
+  if (escrowCreation.destinationTag) {
+    transaction.destinationTag(escrowCreation.destinationTag);
+  }
+  if (escrowCreation.memos) {
+    _.forEach(escrowCreation.memos, memo =>
+      transaction.addMemo(memo.type, memo.format, memo.data)
+    );
+  }
+
+  return transaction;
+}
+
+function prepareEscrowCreateAsync(account, escrowCreation, instructions,
+  cancellationToken, callback
+) {
+  const transaction = createEscrowCreationTransaction(account, escrowCreation);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function prepareEscrowCreate(account: string, escrowCreation: Object,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(prepareEscrowCreateAsync).call(this,
+    account, escrowCreation, instructions);
+}
+
+module.exports = prepareEscrowCreate;
@@ -0,0 +1,46 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+function createEscrowExecutionTransaction(account, escrowExecution) {
+  validate.address(account);
+  validate.escrowExecution(escrowExecution);
+
+  const transaction = new Transaction();
+  transaction.escrowFinish({
+    account: account,
+    owner: escrowExecution.owner,
+    offerSequence: escrowExecution.escrowSequence,
+    condition: escrowExecution.condition,
+    fulfillment: escrowExecution.fulfillment
+  });
+
+  if (escrowExecution.memos) {
+    _.forEach(escrowExecution.memos, memo =>
+      transaction.addMemo(memo.type, memo.format, memo.data)
+    );
+  }
+
+  return transaction;
+}
+
+function prepareEscrowFinishAsync(account, escrowExecution, instructions,
+  cancellationToken, callback
+) {
+  const transaction =
+    createEscrowExecutionTransaction(account, escrowExecution);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function prepareEscrowFinish(account: string, escrowExecution: Object,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(prepareEscrowFinishAsync).call(this,
+    account, escrowExecution, instructions);
+}
+
+module.exports = prepareEscrowFinish;
@@ -30,13 +30,16 @@ function createOrderTransaction(account, order) {
   return transaction;
 }
 
-function prepareOrderAsync(account, order, instructions, callback) {
+function prepareOrderAsync(account, order, instructions,
+  cancellationToken, callback
+) {
   const transaction = createOrderTransaction(account, order);
-  utils.prepareTransaction(transaction, this.remote, instructions, callback);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
 }
 
 function prepareOrder(account: string, order: Object, instructions = {}) {
-  return utils.promisify(prepareOrderAsync.bind(this))(
+  return utils.promisifyWithTimeout(prepareOrderAsync).call(this,
     account, order, instructions);
 }
 
@@ -14,16 +14,17 @@ function createOrderCancellationTransaction(account, sequence) {
 }
 
 function prepareOrderCancellationAsync(account, sequence, instructions,
-  callback
+  cancellationToken, callback
 ) {
   const transaction = createOrderCancellationTransaction(account, sequence);
-  utils.prepareTransaction(transaction, this.remote, instructions, callback);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
 }
 
 function prepareOrderCancellation(account: string, sequence: number,
     instructions = {}
 ) {
-  return utils.promisify(prepareOrderCancellationAsync.bind(this))(
+  return utils.promisifyWithTimeout(prepareOrderCancellationAsync).call(this,
     account, sequence, instructions);
 }
 
@@ -3,6 +3,7 @@
 const _ = require('lodash');
 const utils = require('./utils');
 const validate = utils.common.validate;
+const ValidationError = utils.common.errors.ValidationError;
 const toRippledAmount = utils.common.toRippledAmount;
 const Transaction = utils.common.core.Transaction;
 
@@ -29,12 +30,19 @@ function applyAnyCounterpartyEncoding(payment) {
   if (isIOUWithoutCounterparty(payment.destination.amount)) {
     payment.destination.amount.counterparty = payment.destination.address;
   }
+  if (isIOUWithoutCounterparty(payment.destination.minAmount)) {
+    payment.destination.minAmount.counterparty = payment.destination.address;
+  }
 }
 
 function createPaymentTransaction(account, payment) {
   applyAnyCounterpartyEncoding(payment);
   validate.address(account);
   validate.payment(payment);
+  if (payment.destination.minAmount && !payment.allowPartialPayment) {
+    throw new ValidationError(
+      'destination.minAmount requires allowPartialPayment');
+  }
 
   const transaction = new Transaction();
   transaction.payment({
@@ -60,6 +68,10 @@ function createPaymentTransaction(account, payment) {
   if (payment.allowPartialPayment) {
     transaction.setFlags(['PartialPayment']);
   }
+  if (payment.destination.minAmount) {
+    transaction.setDeliverMin(
+      toRippledAmount(payment.destination.minAmount));
+  }
   if (payment.noDirectRipple) {
     transaction.setFlags(['NoRippleDirect']);
   }
@@ -81,13 +93,16 @@ function createPaymentTransaction(account, payment) {
   return transaction;
 }
 
-function preparePaymentAsync(account, payment, instructions, callback) {
+function preparePaymentAsync(account, payment, instructions,
+  cancellationToken, callback
+) {
   const transaction = createPaymentTransaction(account, payment);
-  utils.prepareTransaction(transaction, this.remote, instructions, callback);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
 }
 
 function preparePayment(account: string, payment: Object, instructions = {}) {
-  return utils.promisify(preparePaymentAsync.bind(this))(
+  return utils.promisifyWithTimeout(preparePaymentAsync).call(this,
     account, payment, instructions);
 }
 
@@ -0,0 +1,51 @@
+/* @flow */
+'use strict';
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+const PaymentChannelClaimFlags = {
+  renew: {set: 'Renew'},
+  close: {set: 'Close'}
+};
+
+function createPaymentChannelClaimTransaction(account, claim) {
+  validate.address(account);
+  validate.paymentChannelClaim(claim);
+
+  const transaction = new Transaction();
+  transaction.paymentChannelClaim({
+    account: account,
+    channel: claim.channel,
+    signature: claim.signature,
+    publicKey: claim.publicKey
+  });
+
+  if (claim.balance) {
+    transaction.setBalance(utils.common.xrpToDrops(claim.balance));
+  }
+  if (claim.amount) {
+    transaction.setAmount(utils.common.xrpToDrops(claim.amount));
+  }
+
+  utils.setTransactionBitFlags(transaction, claim, PaymentChannelClaimFlags);
+
+  return transaction;
+}
+
+function preparePaymentChannelClaimAsync(account, claim, instructions,
+  cancellationToken, callback
+) {
+  const transaction = createPaymentChannelClaimTransaction(account, claim);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function preparePaymentChannelClaim(account: string, claim: Object,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(preparePaymentChannelClaimAsync).call(this,
+    account, claim, instructions);
+}
+
+module.exports = preparePaymentChannelClaim;
@@ -0,0 +1,49 @@
+/* @flow */
+'use strict';
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+function createPaymentChannelCreateTransaction(account, paymentChannel) {
+  validate.address(account);
+  validate.paymentChannelCreate(paymentChannel);
+
+  const transaction = new Transaction();
+  transaction.paymentChannelCreate({
+    account: account,
+    destination: paymentChannel.destination,
+    amount: utils.common.xrpToDrops(paymentChannel.amount),
+    settleDelay: paymentChannel.settleDelay,
+    publicKey: paymentChannel.publicKey
+  });
+
+  if (paymentChannel.cancelAfter) {
+    transaction.setCancelAfter(new Date(paymentChannel.cancelAfter));
+  }
+  if (paymentChannel.sourceTag) {
+    transaction.sourceTag(paymentChannel.sourceTag);
+  }
+  if (paymentChannel.destinationTag) {
+    transaction.destinationTag(paymentChannel.destinationTag);
+  }
+
+  return transaction;
+}
+
+function preparePaymentChannelCreateAsync(account, paymentChannel,
+  instructions, cancellationToken, callback
+) {
+  const transaction =
+    createPaymentChannelCreateTransaction(account, paymentChannel);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function preparePaymentChannelCreate(account: string, paymentChannel: Object,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(preparePaymentChannelCreateAsync).call(this,
+    account, paymentChannel, instructions);
+}
+
+module.exports = preparePaymentChannelCreate;
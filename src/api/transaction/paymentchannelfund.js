@@ -0,0 +1,40 @@
+/* @flow */
+'use strict';
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+function createPaymentChannelFundTransaction(account, fund) {
+  validate.address(account);
+  validate.paymentChannelFund(fund);
+
+  const transaction = new Transaction();
+  transaction.paymentChannelFund({
+    account: account,
+    channel: fund.channel,
+    amount: utils.common.xrpToDrops(fund.amount)
+  });
+
+  if (fund.expiration) {
+    transaction.setExpiration(new Date(fund.expiration));
+  }
+
+  return transaction;
+}
+
+function preparePaymentChannelFundAsync(account, fund, instructions,
+  cancellationToken, callback
+) {
+  const transaction = createPaymentChannelFundTransaction(account, fund);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function preparePaymentChannelFund(account: string, fund: Object,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(preparePaymentChannelFundAsync).call(this,
+    account, fund, instructions);
+}
+
+module.exports = preparePaymentChannelFund;
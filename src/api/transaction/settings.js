@@ -90,13 +90,16 @@ function createSettingsTransaction(account, settings) {
   return transaction;
 }
 
-function prepareSettingsAsync(account, settings, instructions, callback) {
+function prepareSettingsAsync(account, settings, instructions,
+  cancellationToken, callback
+) {
   const transaction = createSettingsTransaction(account, settings);
-  utils.prepareTransaction(transaction, this.remote, instructions, callback);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
 }
 
 function prepareSettings(account: string, settings: Object, instructions = {}) {
-  return utils.promisify(prepareSettingsAsync.bind(this))(
+  return utils.promisifyWithTimeout(prepareSettingsAsync).call(this,
     account, settings, instructions);
 }
 
@@ -3,6 +3,7 @@
 const utils = require('./utils');
 const core = utils.common.core;
 const validate = utils.common.validate;
+const errors = utils.common.errors;
 
 /**
  * These prefixes are inserted before the source material used to
@@ -32,25 +33,42 @@ function hashSerialization(serialized, prefix) {
   return serialized.hash(prefix || HASH_TX_ID).to_hex();
 }
 
-function signingData(txJSON) {
-  return core.Transaction.from_json(txJSON).signingData().buffer;
+function signingData(txJSON, signAs) {
+  const transaction = core.Transaction.from_json(txJSON);
+  return (signAs ? transaction.multiSigningData(signAs) :
+    transaction.signingData()).buffer;
 }
 
-function computeSignature(txJSON, keypair) {
-  return keypair.signHex(signingData(txJSON));
+function computeSignature(txJSON, keypair, signAs) {
+  return keypair.signHex(signingData(txJSON, signAs));
 }
 
-function sign(txJSON: string, secret: string
+function sign(txJSON: string, secret: string, options: {signAs?: string} = {}
 ): {signedTransaction: string; id: string} {
   const tx = JSON.parse(txJSON);
   validate.txJSON(tx);
   validate.secret(secret);
+  validate.signOptions(options);
+  if (tx.Signers !== undefined) {
+    throw new errors.ValidationError('txJSON must not contain Signers,'
+      + ' use combine to merge multi-signed transactions');
+  }
 
   const keypair = getKeyPair(secret);
-  if (tx.SigningPubKey === undefined) {
-    tx.SigningPubKey = getPublicKeyHex(keypair);
+  if (options.signAs) {
+    // multi-signed transactions must have an empty SigningPubKey
+    tx.SigningPubKey = '';
+    tx.Signers = [{Signer: {
+      Account: options.signAs,
+      SigningPubKey: getPublicKeyHex(keypair),
+      TxnSignature: computeSignature(tx, keypair, options.signAs)
+    }}];
+  } else {
+    if (tx.SigningPubKey === undefined) {
+      tx.SigningPubKey = getPublicKeyHex(keypair);
+    }
+    tx.TxnSignature = computeSignature(tx, keypair);
   }
-  tx.TxnSignature = computeSignature(tx, keypair);
   const serialized = serialize(tx);
   return {
     signedTransaction: serialized.to_hex(),
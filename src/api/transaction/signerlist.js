@@ -0,0 +1,52 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const validate = utils.common.validate;
+const ValidationError = utils.common.errors.ValidationError;
+const Transaction = utils.common.core.Transaction;
+
+function createSignerListTransaction(account, signerList) {
+  validate.address(account);
+  validate.signerList(signerList);
+  // a threshold of 0 removes the signer list, which must then have no entries
+  if ((signerList.threshold === 0) !== _.isEmpty(signerList.weights)) {
+    throw new ValidationError(
+      'weights are required unless threshold is 0, which removes the list');
+  }
+
+  const transaction = new Transaction();
+  transaction.setSignerList({
+    account: account,
+    signerQuorum: signerList.threshold,
+    signers: _.map(signerList.weights, weight => ({
+      account: weight.address,
+      weight: weight.weight
+    }))
+  });
+
+  if (signerList.memos) {
+    _.forEach(signerList.memos, memo =>
+      transaction.addMemo(memo.type, memo.format, memo.data)
+    );
+  }
+
+  return transaction;
+}
+
+function prepareSignerListAsync(account, signerList, instructions,
+  cancellationToken, callback
+) {
+  const transaction = createSignerListTransaction(account, signerList);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function prepareSignerList(account: string, signerList: Object,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(prepareSignerListAsync).call(this,
+    account, signerList, instructions);
+}
+
+module.exports = prepareSignerList;
@@ -5,19 +5,22 @@ const validate = utils.common.validate;
 const Request = utils.common.core.Request;
 const convertErrors = utils.common.convertErrors;
 
-function submitAsync(txBlob: string, callback: (err: any, data: any) => void
+function submitAsync(txBlob: string, options: Object,
+    cancellationToken: Object, callback: (err: any, data: any) => void
 ): void {
   validate.blob(txBlob);
+  validate.callOptions(options);
   const request = new Request(this.remote, 'submit');
   request.message.tx_blob = txBlob;
+  utils.common.setCancellationToken(request, cancellationToken);
   request.request(null,
     utils.common.composeAsync(
       data => utils.common.convertKeysFromSnakeCaseToCamelCase(data),
       convertErrors(callback)));
 }
 
-function submit(txBlob: string) {
-  return utils.promisify(submitAsync.bind(this))(txBlob);
+function submit(txBlob: string, options: Object = {}) {
+  return utils.promisifyWithTimeout(submitAsync).call(this, txBlob, options);
 }
 
 module.exports = submit;
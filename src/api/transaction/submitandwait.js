@@ -0,0 +1,152 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const utils = require('./utils');
+const submit = require('./submit');
+const getTransaction = require('../ledger/transaction');
+const validate = utils.common.validate;
+const errors = utils.common.errors;
+const core = utils.common.core;
+const CancellationToken = utils.common.CancellationToken;
+
+function parseBlob(txBlob: string): {id: string, maxLedgerVersion: number} {
+  const serialized = new core.SerializedObject(txBlob);
+  const txJSON = serialized.to_json();
+  if (txJSON.LastLedgerSequence === undefined) {
+    throw new errors.ValidationError('LastLedgerSequence is required in order'
+      + ' to determine when the transaction has expired');
+  }
+  return {
+    id: core.Transaction.from_json(txJSON).hash('HASH_TX_ID', false,
+      serialized),
+    maxLedgerVersion: txJSON.LastLedgerSequence
+  };
+}
+
+// tem results mean the transaction is malformed and can never be applied
+function isMalformed(engineResult: string): boolean {
+  return _.startsWith(engineResult, 'tem');
+}
+
+function isPending(error: Error): boolean {
+  return error instanceof errors.NotFoundError
+    || error instanceof errors.MissingLedgerHistoryError;
+}
+
+// the token that the requests are sent with, which is cancelled once the
+// caller's token is cancelled or the caller's timeout has passed
+function createCancellationToken(options: Object): Object {
+  const token = new CancellationToken();
+  const timer = options.timeout === undefined ? undefined : setTimeout(() => {
+    token.cancel(new errors.TimeOutError(
+      'Request timed out after ' + options.timeout + 'ms'));
+  }, options.timeout);
+  const removeListener = options.cancellationToken === undefined ? _.noop :
+    options.cancellationToken.onCancel(error => token.cancel(error));
+  function cleanup() {
+    clearTimeout(timer);
+    removeListener();
+  }
+  return {token, cleanup};
+}
+
+function submitAndWaitAsync(txBlob: string, submitOptions: Object,
+    callback: (err: any, data: any) => void
+): void {
+  validate.blob(txBlob);
+  validate.callOptions(submitOptions);
+  if (submitOptions.cancellationToken !== undefined
+      && !(submitOptions.cancellationToken instanceof CancellationToken)) {
+    throw new errors.ValidationError(
+      'options.cancellationToken must be a CancellationToken');
+  }
+
+  const remote = this.remote;
+  const {id, maxLedgerVersion} = parseBlob(txBlob);
+  const {token, cleanup} = createCancellationToken(submitOptions);
+  const options = {
+    minLedgerVersion: remote.getLedgerSequence(),
+    maxLedgerVersion: maxLedgerVersion,
+    cancellationToken: token
+  };
+  let checking = false;
+  let recheck = false;
+  let finished = false;
+
+  function finish(error, transaction) {
+    if (!finished) {
+      finished = true;
+      cleanup();
+      remote.removeListener('ledger_closed', checkTransaction);
+      callback(error, transaction);
+    }
+  }
+
+  const checkTransaction = () => {
+    if (finished) {
+      return;
+    }
+    if (checking) {
+      // check again once the lookup is done, since the lookup may not cover
+      // the ledger that has just closed
+      recheck = true;
+      return;
+    }
+    checking = true;
+    recheck = false;
+    // the lookup can only have covered the ledgers that had closed before
+    // it was sent
+    const ledgerVersion = remote.getLedgerSequence();
+    getTransaction.call(this, id, options).then(transaction => {
+      checking = false;
+      // a transaction only has an outcome once it is validated
+      if (transaction.outcome !== undefined) {
+        finish(null, transaction);
+      } else if (recheck) {
+        checkTransaction();
+      }
+    }).catch(error => {
+      checking = false;
+      if (!isPending(error)) {
+        finish(error);
+      } else if (ledgerVersion >= maxLedgerVersion) {
+        // getTransaction only reports NotFoundError if the server has
+        // complete history for the range, otherwise this is a
+        // MissingLedgerHistoryError and the outcome cannot be known
+        finish(error instanceof errors.NotFoundError ?
+          new errors.TransactionExpiredError('Transaction was not validated'
+            + ' by ledger version ' + maxLedgerVersion) : error);
+      } else if (recheck) {
+        checkTransaction();
+      }
+    });
+  };
+
+  // stop waiting, and stop the pending requests, once the call is cancelled
+  // or has timed out
+  token.onCancel(finish);
+  if (finished) {
+    return;
+  }
+
+  // listen before submitting in case a ledger closes before the response
+  remote.on('ledger_closed', checkTransaction);
+
+  submit.call(this, txBlob, {cancellationToken: token}).then(result => {
+    if (isMalformed(result.engineResult)) {
+      finish(new errors.TransactionError(result.engineResult + ': '
+        + result.engineResultMessage));
+    }
+  }).catch(finish);
+}
+
+// not limited by the API's timeout, since the wait for validation ends
+// when the transaction's LastLedgerSequence has passed; the wait only stalls
+// if ledgers stop closing, so the options may set a timeout or carry a
+// token that cancels the call
+function submitAndWait(txBlob: string, options: Object = {}
+): Promise<Object> {
+  return utils.promisify(submitAndWaitAsync).call(this, txBlob, options);
+}
+
+module.exports = submitAndWait;
@@ -0,0 +1,35 @@
+/* @flow */
+'use strict';
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+function createTicketCancelTransaction(account, ticketID) {
+  validate.address(account);
+  validate.identifier(ticketID);
+
+  const transaction = new Transaction();
+  transaction.ticketCancel({
+    account: account,
+    ticketID: ticketID
+  });
+
+  return transaction;
+}
+
+function prepareTicketCancelAsync(account, ticketID, instructions,
+  cancellationToken, callback
+) {
+  const transaction = createTicketCancelTransaction(account, ticketID);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function prepareTicketCancel(account: string, ticketID: string,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(prepareTicketCancelAsync).call(this,
+    account, ticketID, instructions);
+}
+
+module.exports = prepareTicketCancel;
@@ -0,0 +1,35 @@
+/* @flow */
+'use strict';
+const utils = require('./utils');
+const validate = utils.common.validate;
+const Transaction = utils.common.core.Transaction;
+
+function createTicketCreateTransaction(account, ticketCount) {
+  validate.address(account);
+  validate.ticketCount(ticketCount);
+
+  const transaction = new Transaction();
+  transaction.ticketCreate({
+    account: account,
+    ticketCount: ticketCount
+  });
+
+  return transaction;
+}
+
+function prepareTicketCreateAsync(account, ticketCount, instructions,
+  cancellationToken, callback
+) {
+  const transaction = createTicketCreateTransaction(account, ticketCount);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
+}
+
+function prepareTicketCreate(account: string, ticketCount: number,
+    instructions = {}
+) {
+  return utils.promisifyWithTimeout(prepareTicketCreateAsync).call(this,
+    account, ticketCount, instructions);
+}
+
+module.exports = prepareTicketCreate;
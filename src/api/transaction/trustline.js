@@ -33,14 +33,17 @@ function createTrustlineTransaction(account, trustline) {
   return transaction;
 }
 
-function prepareTrustlineAsync(account, trustline, instructions, callback) {
+function prepareTrustlineAsync(account, trustline, instructions,
+  cancellationToken, callback
+) {
   const transaction = createTrustlineTransaction(account, trustline);
-  utils.prepareTransaction(transaction, this.remote, instructions, callback);
+  utils.prepareTransaction(transaction, this.remote, instructions,
+    cancellationToken, callback);
 }
 
 function prepareTrustline(account: string, trustline: Object, instructions = {}
 ) {
-  return utils.promisify(prepareTrustlineAsync.bind(this))(
+  return utils.promisifyWithTimeout(prepareTrustlineAsync).call(this,
     account, trustline, instructions);
 }
 
@@ -3,6 +3,7 @@
 const _ = require('lodash');
 const BigNumber = require('bignumber.js');
 const common = require('../common');
+const estimateFeeDrops = require('../server/server').estimateFeeDrops;
 
 function setTransactionBitFlags(transaction: any, values: any, flags: any
 ): void {
@@ -19,15 +20,24 @@ function setTransactionBitFlags(transaction: any, values: any, flags: any
   }
 }
 
-function getFeeDrops(remote) {
-  const feeUnits = 10; // all transactions currently have a fee of 10 fee units
-  return remote.feeTx(feeUnits).to_text();
+function getFeeDrops(remote, instructions) {
+  const estimate = estimateFeeDrops(remote);
+  const fees = {
+    minimum: estimate.current,
+    normal: estimate.recommended,
+    urgent: estimate.urgent
+  };
+  const fee = fees[instructions.feeStrategy || 'normal'];
+  // a multi-signed transaction pays the fee once plus once for each signer
+  const signersCount = instructions.signersCount || 0;
+  return fee.times(1 + signersCount).toString();
 }
 
 function formatPrepareResponse(txJSON) {
   const instructions = {
     fee: txJSON.Fee,
-    sequence: txJSON.Sequence,
+    sequence: txJSON.TicketSequence === undefined ? txJSON.Sequence : undefined,
+    ticketSequence: txJSON.TicketSequence,
     maxLedgerVersion: txJSON.LastLedgerSequence
   };
   return {
@@ -36,11 +46,54 @@ function formatPrepareResponse(txJSON) {
   };
 }
 
+// without a connection nothing can be looked up on the ledger, so every
+// instruction that would otherwise be filled in must be supplied
+function validateOfflineInstructions(remote: any, instructions: any): void {
+  if (remote.isConnected()) {
+    return;
+  }
+  const missing = [];
+  if (instructions.fee === undefined) {
+    missing.push('fee');
+  }
+  if (instructions.sequence === undefined &&
+      instructions.ticketSequence === undefined) {
+    missing.push('sequence');
+  }
+  if (instructions.maxLedgerVersion === undefined) {
+    missing.push('maxLedgerVersion');
+  }
+  if (missing.length > 0) {
+    throw new common.errors.ValidationError('fee, sequence and '
+      + 'maxLedgerVersion are required to prepare a transaction offline; '
+      + 'missing: ' + missing.join(', '));
+  }
+}
+
 type Callback = (err: ?(typeof Error),
                  data: {txJSON: string, instructions: any}) => void;
+// like Account.getNextSequence, but the request can be cancelled
+function getNextSequence(remote: any, account: string,
+    cancellationToken: any, callback: (err: any, sequence?: number) => void
+): void {
+  const request = remote.requestAccountInfo({account});
+  common.setCancellationToken(request, cancellationToken);
+  request.callback((error, info) => {
+    if (error && error.remote && error.remote.error === 'actNotFound') {
+      // new accounts start out with sequence one
+      callback(null, 1);
+    } else if (error) {
+      callback(error);
+    } else {
+      callback(null, info.account_data.Sequence);
+    }
+  });
+}
+
 function prepareTransaction(transaction: any, remote: any, instructions: any,
-    callback: Callback): void {
+    cancellationToken: any, callback: Callback): void {
   common.validate.instructions(instructions);
+  validateOfflineInstructions(remote, instructions);
 
   transaction.complete();
   const account = transaction.getAccount();
@@ -57,7 +110,7 @@ function prepareTransaction(transaction: any, remote: any, instructions: any,
   if (instructions.fee !== undefined) {
     txJSON.Fee = common.xrpToDrops(instructions.fee);
   } else {
-    const serverFeeDrops = getFeeDrops(remote);
+    const serverFeeDrops = getFeeDrops(remote, instructions);
     if (instructions.maxFee !== undefined) {
       const maxFeeDrops = common.xrpToDrops(instructions.maxFee);
       txJSON.Fee = BigNumber.min(serverFeeDrops, maxFeeDrops).toString();
@@ -69,8 +122,13 @@ function prepareTransaction(transaction: any, remote: any, instructions: any,
   if (instructions.sequence !== undefined) {
     txJSON.Sequence = parseInt(instructions.sequence, 10);
     callback(null, formatPrepareResponse(txJSON));
+  } else if (instructions.ticketSequence !== undefined) {
+    // a transaction that uses a ticket must have a Sequence of 0
+    txJSON.Sequence = 0;
+    txJSON.TicketSequence = parseInt(instructions.ticketSequence, 10);
+    callback(null, formatPrepareResponse(txJSON));
   } else {
-    remote.findAccount(account).getNextSequence(function(error, sequence) {
+    getNextSequence(remote, account, cancellationToken, (error, sequence) => {
       txJSON.Sequence = sequence;
       callback(error, formatPrepareResponse(txJSON));
     });
@@ -81,5 +139,6 @@ module.exports = {
   setTransactionBitFlags,
   prepareTransaction,
   common,
-  promisify: common.promisify
+  promisify: common.promisify,
+  promisifyWithTimeout: common.promisifyWithTimeout
 };
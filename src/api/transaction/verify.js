@@ -0,0 +1,124 @@
+/* @flow */
+'use strict';
+const _ = require('lodash');
+const BN = require('bn.js');
+const keypairs = require('ripple-keypairs');
+const utils = require('./utils');
+const binaryCodec = require('../offline/binarycodec');
+const core = utils.common.core;
+const validate = utils.common.validate;
+const errors = utils.common.errors;
+
+// order of the secp256k1 group
+const SECP256K1_ORDER = new BN(
+  'FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141', 16);
+// order of the ed25519 group
+const ED25519_ORDER = new BN(
+  '1000000000000000000000000000000014DEF9DEA2F79CD65812631A5CF5D3ED', 16);
+
+function isEd25519(publicKey: string): boolean {
+  return publicKey.slice(0, 2).toUpperCase() === 'ED';
+}
+
+function getPublicKeyPair(publicKey) {
+  return isEd25519(publicKey) ?
+    keypairs.Ed25519Pair.fromPublic(publicKey) :
+    new keypairs.K256Pair({pubBytes: core.utils.hexToArray(publicKey)});
+}
+
+// reads one strict DER integer, which must be positive and minimally encoded
+function readDERInteger(bytes: Array<number>, offset: number): ?Object {
+  if (bytes[offset] !== 0x02 || offset + 2 > bytes.length) {
+    return null;
+  }
+  const length = bytes[offset + 1];
+  const value = bytes.slice(offset + 2, offset + 2 + length);
+  if (length === 0 || value.length !== length || (value[0] & 0x80) !== 0
+      || (length > 1 && value[0] === 0 && (value[1] & 0x80) === 0)) {
+    return null;
+  }
+  return {value: new BN(value), end: offset + 2 + length};
+}
+
+// rippled only accepts strict DER signatures with a low S value, because
+// otherwise (r, n - s) is a second valid signature with a different hash
+function isCanonicalSecp256k1(signature: Array<number>): boolean {
+  if (signature[0] !== 0x30 || signature[1] !== signature.length - 2) {
+    return false;
+  }
+  const r = readDERInteger(signature, 2);
+  const s = r ? readDERInteger(signature, r.end) : null;
+  if (!r || !s || s.end !== signature.length) {
+    return false;
+  }
+  // a zero r or s is never a valid signature
+  return r.value.cmpn(0) > 0 && s.value.cmpn(0) > 0 &&
+    r.value.cmp(SECP256K1_ORDER) < 0 &&
+    s.value.cmp(SECP256K1_ORDER.shrn(1)) <= 0;
+}
+
+// ed25519 signatures are malleable unless S is less than the group order
+function isCanonicalEd25519(signature: Array<number>): boolean {
+  if (signature.length !== 64) {
+    return false;
+  }
+  const s = new BN(signature.slice(32).reverse());
+  return s.cmp(ED25519_ORDER) < 0;
+}
+
+function verifySignature(signingData: string, publicKey: string,
+    signature: string
+): Object {
+  const signatureBytes = core.utils.hexToArray(signature);
+  let keypair;
+  try {
+    keypair = getPublicKeyPair(publicKey);
+  } catch (error) {
+    return {publicKey, isValid: false, isCanonical: false};
+  }
+  let isValid;
+  try {
+    isValid = keypair.verify(core.utils.hexToArray(signingData),
+      signatureBytes);
+  } catch (error) {
+    // verifying throws instead of failing for some malformed signatures,
+    // such as an ed25519 signature that is not 64 bytes long
+    isValid = false;
+  }
+  return {
+    publicKey,
+    derivedAddress: keypair.accountID(),
+    isValid,
+    isCanonical: isEd25519(publicKey) ? isCanonicalEd25519(signatureBytes) :
+      isCanonicalSecp256k1(signatureBytes)
+  };
+}
+
+function verifySigner(tx: Object, signer: Object): Object {
+  const signingData = binaryCodec.encodeForMultisigning(tx, signer.Account);
+  return _.assign({address: signer.Account}, verifySignature(signingData,
+    signer.SigningPubKey, signer.TxnSignature));
+}
+
+function verifyTransaction(signedTransaction: string): Object {
+  validate.blob(signedTransaction);
+
+  const tx = binaryCodec.decode(signedTransaction);
+  let signatures;
+  if (tx.Signers !== undefined) {
+    signatures = tx.Signers.map(entry => verifySigner(tx, entry.Signer));
+  } else if (tx.TxnSignature !== undefined) {
+    const signature = verifySignature(binaryCodec.encodeForSigning(tx),
+      tx.SigningPubKey, tx.TxnSignature);
+    signatures = [_.assign({address: tx.Account}, signature)];
+  } else {
+    throw new errors.ValidationError('signedTransaction is not signed');
+  }
+  return {
+    id: core.Transaction.from_json(tx).hash(),
+    isValid: _.every(signatures, 'isValid'),
+    signatures
+  };
+}
+
+module.exports = verifyTransaction;
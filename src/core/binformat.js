@@ -92,7 +92,12 @@ const FIELDS_MAP = exports.fields = {
     33: 'SetFlag',
     34: 'ClearFlag',
     35: 'SignerQuorum',
-    38: 'SignerListID'
+    36: 'CancelAfter',
+    37: 'FinishAfter',
+    38: 'SignerListID',
+    39: 'SettleDelay',
+    40: 'TicketCount',
+    41: 'TicketSequence'
   },
   3: { // Int64
     1: 'IndexNext',
@@ -102,7 +107,8 @@ const FIELDS_MAP = exports.fields = {
     5: 'BaseFee',
     6: 'ExchangeRate',
     7: 'LowNode',
-    8: 'HighNode'
+    8: 'HighNode',
+    9: 'DestinationNode'
   },
   4: { // Hash128
     1: 'EmailHash'
@@ -121,7 +127,8 @@ const FIELDS_MAP = exports.fields = {
     17: 'InvoiceID',
     18: 'Nickname',
     19: 'Amendment',
-    20: 'TicketID'
+    20: 'TicketID',
+    22: 'Channel'
   },
   6: { // Amount
     1: 'Amount',
@@ -133,6 +140,7 @@ const FIELDS_MAP = exports.fields = {
     7: 'HighLimit',
     8: 'Fee',
     9: 'SendMax',
+    10: 'DeliverMin',
     16: 'MinimumOffer',
     17: 'RippleEscrow',
     18: 'DeliveredAmount'
@@ -151,7 +159,9 @@ const FIELDS_MAP = exports.fields = {
     11: 'CreateCode',
     12: 'MemoType',
     13: 'MemoData',
-    14: 'MemoFormat'
+    14: 'MemoFormat',
+    16: 'Fulfillment',
+    25: 'Condition'
   },
   8: { // Account
     1: 'Account',
@@ -173,7 +183,8 @@ const FIELDS_MAP = exports.fields = {
     9: 'TemplateEntry',
     10: 'Memo',
     11: 'SignerEntry',
-    16: 'Signer'
+    16: 'Signer',
+    18: 'Majority'
   },
   15: { // Array
     1: undefined,  // end of Array
@@ -184,7 +195,8 @@ const FIELDS_MAP = exports.fields = {
     6: 'Necessary',
     7: 'Sufficient',
     8: 'AffectedNodes',
-    9: 'Memos'
+    9: 'Memos',
+    16: 'Majorities'
   },
 
   // Uncommon types
@@ -234,7 +246,8 @@ const base = [
   [ 'TxnSignature'       , OPTIONAL ],
   [ 'AccountTxnID'       , OPTIONAL ],
   [ 'Memos'              , OPTIONAL ],
-  [ 'Signers'            , OPTIONAL ]
+  [ 'Signers'            , OPTIONAL ],
+  [ 'TicketSequence'     , OPTIONAL ]
 ];
 
 exports.tx = {
@@ -271,7 +284,8 @@ exports.tx = {
     [ 'SendMax'            , OPTIONAL ],
     [ 'Paths'              , DEFAULT  ],
     [ 'InvoiceID'          , OPTIONAL ],
-    [ 'DestinationTag'     , OPTIONAL ]
+    [ 'DestinationTag'     , OPTIONAL ],
+    [ 'DeliverMin'         , OPTIONAL ]
   ]),
   Contract: [9].concat(base, [
     [ 'Expiration'         , REQUIRED ],
@@ -290,17 +304,18 @@ exports.tx = {
     [ 'Feature'            , REQUIRED ]
   ]),
   EnableAmendment: [100].concat(base, [
-    [ 'Amendment'          , REQUIRED ]
+    [ 'Amendment'          , REQUIRED ],
+    [ 'LedgerSequence'     , OPTIONAL ]
   ]),
   SetFee: [101].concat(base, [
+    [ 'LedgerSequence'     , OPTIONAL ],
     [ 'BaseFee'            , REQUIRED ],
     [ 'ReferenceFeeUnits'  , REQUIRED ],
     [ 'ReserveBase'        , REQUIRED ],
     [ 'ReserveIncrement'   , REQUIRED ]
   ]),
   TicketCreate: [10].concat(base, [
-    [ 'Target'             , OPTIONAL ],
-    [ 'Expiration'         , OPTIONAL ]
+    [ 'TicketCount'        , REQUIRED ]
   ]),
   TicketCancel: [11].concat(base, [
     [ 'TicketID'           , REQUIRED ]
@@ -308,6 +323,44 @@ exports.tx = {
   SignerListSet: [12].concat(base, [
     ['SignerQuorum', REQUIRED],
     ['SignerEntries', OPTIONAL]
+  ]),
+  EscrowCreate: [1].concat(base, [
+    [ 'Destination'        , REQUIRED ],
+    [ 'Amount'             , REQUIRED ],
+    [ 'Condition'          , OPTIONAL ],
+    [ 'CancelAfter'        , OPTIONAL ],
+    [ 'FinishAfter'        , OPTIONAL ],
+    [ 'DestinationTag'     , OPTIONAL ]
+  ]),
+  EscrowFinish: [2].concat(base, [
+    [ 'Owner'              , REQUIRED ],
+    [ 'OfferSequence'      , REQUIRED ],
+    [ 'Condition'          , OPTIONAL ],
+    [ 'Fulfillment'        , OPTIONAL ]
+  ]),
+  EscrowCancel: [4].concat(base, [
+    [ 'Owner'              , REQUIRED ],
+    [ 'OfferSequence'      , REQUIRED ]
+  ]),
+  PaymentChannelCreate: [13].concat(base, [
+    [ 'Destination'        , REQUIRED ],
+    [ 'Amount'             , REQUIRED ],
+    [ 'SettleDelay'        , REQUIRED ],
+    [ 'PublicKey'          , REQUIRED ],
+    [ 'CancelAfter'        , OPTIONAL ],
+    [ 'DestinationTag'     , OPTIONAL ]
+  ]),
+  PaymentChannelFund: [14].concat(base, [
+    [ 'Channel'            , REQUIRED ],
+    [ 'Amount'             , REQUIRED ],
+    [ 'Expiration'         , OPTIONAL ]
+  ]),
+  PaymentChannelClaim: [15].concat(base, [
+    [ 'Channel'            , REQUIRED ],
+    [ 'Amount'             , OPTIONAL ],
+    [ 'Balance'            , OPTIONAL ],
+    [ 'Signature'          , OPTIONAL ],
+    [ 'PublicKey'          , OPTIONAL ]
   ])
 };
 
@@ -333,6 +386,9 @@ exports.ledger = {
     ['Domain',             OPTIONAL],
     ['Account',            REQUIRED],
     ['RegularKey',         OPTIONAL]]),
+  Amendments: [102].concat(sleBase,[
+    ['Amendments',         OPTIONAL],
+    ['Majorities',         OPTIONAL]]),
   Contract: [99].concat(sleBase,[
     ['PreviousTxnLgrSeq',  REQUIRED],
     ['Expiration',         REQUIRED],
@@ -357,8 +413,6 @@ exports.ledger = {
     ['TakerGetsCurrency',  OPTIONAL],
     ['TakerGetsIssuer',    OPTIONAL],
     ['Indexes',            REQUIRED]]),
-  EnabledFeatures: [102].concat(sleBase,[
-    ['Features',           REQUIRED]]),
   FeeSettings: [115].concat(sleBase,[
     ['ReferenceFeeUnits',  REQUIRED],
     ['ReserveBase',        REQUIRED],
@@ -416,6 +470,42 @@ exports.ledger = {
     ['SignerListID',        REQUIRED],
     ['PreviousTxnID',       REQUIRED],
     ['PreviousTxnLgrSeq',   REQUIRED]
+  ]),
+  Escrow: [117].concat(sleBase,[
+    ['Account',             REQUIRED],
+    ['Destination',         REQUIRED],
+    ['Amount',              REQUIRED],
+    ['Condition',           OPTIONAL],
+    ['CancelAfter',         OPTIONAL],
+    ['FinishAfter',         OPTIONAL],
+    ['SourceTag',           OPTIONAL],
+    ['DestinationTag',      OPTIONAL],
+    ['OwnerNode',           REQUIRED],
+    ['DestinationNode',     OPTIONAL],
+    ['PreviousTxnID',       REQUIRED],
+    ['PreviousTxnLgrSeq',   REQUIRED]
+  ]),
+  PayChannel: [120].concat(sleBase,[
+    ['Account',             REQUIRED],
+    ['Destination',         REQUIRED],
+    ['Amount',              REQUIRED],
+    ['Balance',             REQUIRED],
+    ['PublicKey',           REQUIRED],
+    ['SettleDelay',         REQUIRED],
+    ['Expiration',          OPTIONAL],
+    ['CancelAfter',         OPTIONAL],
+    ['SourceTag',           OPTIONAL],
+    ['DestinationTag',      OPTIONAL],
+    ['OwnerNode',           REQUIRED],
+    ['PreviousTxnID',       REQUIRED],
+    ['PreviousTxnLgrSeq',   REQUIRED]
+  ]),
+  Ticket: [84].concat(sleBase,[
+    ['Account',             REQUIRED],
+    ['TicketSequence',      REQUIRED],
+    ['OwnerNode',           REQUIRED],
+    ['PreviousTxnID',       REQUIRED],
+    ['PreviousTxnLgrSeq',   REQUIRED]
   ])
 };
 
@@ -458,5 +548,6 @@ exports.ter = {
   tecNEED_MASTER_KEY       : 142,
   tecDST_TAG_NEEDED        : 143,
   tecINTERNAL              : 144,
-  tecOVERSIZE              : 145
+  tecOVERSIZE              : 145,
+  tecCRYPTOCONDITION_ERROR : 146
 };
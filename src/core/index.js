@@ -23,6 +23,7 @@ exports.convertBase = require('./baseconverter');
 exports._test = {
   Log: require('./log'),
   PathFind: require('./pathfind').PathFind,
+  JsonRpcTransport: require('./jsonrpctransport').JsonRpcTransport,
   TransactionManager: require('./transactionmanager').TransactionManager,
   RangeSet: require('./rangeset').RangeSet,
   HashPrefixes: require('./hashprefixes')
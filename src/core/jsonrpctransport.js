@@ -0,0 +1,427 @@
+'use strict';
+
+const _ = require('lodash');
+const url = require('url');
+const http = require('http');
+const https = require('https');
+
+/**
+ *  @constructor JsonRpcTransport
+ *
+ *  Sends requests to the JSON-RPC interface of rippled over HTTP or HTTPS.
+ *  It implements the part of the WebSocket interface that Server uses: the
+ *  readyState, send and close members and the onopen, onmessage, onerror and
+ *  onclose handlers, so that Server can use it in place of a WebSocket.
+ *
+ *  rippled cannot push messages over HTTP, so the ledger and server streams
+ *  that a Server subscribes to when it connects are emulated by polling
+ *  server_state. Any other subscription fails with a notSupported error.
+ *
+ *  @param {String} uri
+ *  @param {Object} [options] - passed on to http.request or https.request
+ */
+
+function JsonRpcTransport(uri, options) {
+  const self = this;
+
+  this.url = uri;
+  this.readyState = JsonRpcTransport.CONNECTING;
+  this.onopen = this.onmessage = this.onerror = this.onclose = _.noop;
+
+  this._options = options || {};
+  this._state = undefined;
+  this._isSubscribed = false;
+  this._pollTimer = undefined;
+
+  // there is no connection to open, but like a WebSocket the transport
+  // reports that it is open asynchronously
+  setImmediate(function() {
+    if (self.readyState === JsonRpcTransport.CONNECTING) {
+      self.readyState = JsonRpcTransport.OPEN;
+      self.onopen();
+    }
+  });
+}
+
+JsonRpcTransport.CONNECTING = 0;
+JsonRpcTransport.OPEN = 1;
+JsonRpcTransport.CLOSING = 2;
+JsonRpcTransport.CLOSED = 3;
+
+/**
+ * Milliseconds between server_state requests while the ledger and server
+ * streams are subscribed
+ */
+
+JsonRpcTransport.pollInterval = 1000 * 2;
+
+/**
+ * Streams that are emulated by polling server_state
+ */
+
+JsonRpcTransport.POLLED_STREAMS = ['ledger', 'server'];
+
+/**
+ * Commands that need rippled to push messages
+ */
+
+JsonRpcTransport.SUBSCRIPTION_COMMANDS = [
+  'subscribe',
+  'unsubscribe',
+  'path_find'
+];
+
+/**
+ * The reference transaction cost in fee units, which server_state does not
+ * report
+ */
+
+JsonRpcTransport.FEE_REF = 10;
+
+function isPolledSubscription(message) {
+  return message.accounts === undefined
+    && message.accounts_proposed === undefined
+    && message.books === undefined
+    && _.isEqual(_.sortBy(message.streams), JsonRpcTransport.POLLED_STREAMS);
+}
+
+function formatLedger(state) {
+  const ledger = state.validated_ledger;
+
+  if (ledger === undefined) {
+    return {};
+  }
+
+  const data = {
+    fee_base: ledger.base_fee,
+    fee_ref: JsonRpcTransport.FEE_REF,
+    ledger_hash: ledger.hash,
+    ledger_index: ledger.seq,
+    ledger_time: ledger.close_time,
+    reserve_base: ledger.reserve_base,
+    reserve_inc: ledger.reserve_inc
+  };
+
+  if (state.complete_ledgers !== 'empty') {
+    data.validated_ledgers = state.complete_ledgers;
+  }
+
+  return data;
+}
+
+function formatServerStatus(state) {
+  return {
+    load_base: state.load_base,
+    load_factor: state.load_factor,
+    server_status: state.server_state
+  };
+}
+
+function getLedgerIndex(state) {
+  return state.validated_ledger ? state.validated_ledger.seq : 0;
+}
+
+/**
+ * Convert a JSON-RPC result to a WebSocket response
+ *
+ * @param {Number} id
+ * @param {Object} result
+ * @return {Object} response
+ */
+
+JsonRpcTransport.createResponse = function(id, result) {
+  if (result.status === 'error') {
+    return _.assign(_.omit(result, 'status'), {
+      id: id,
+      type: 'response',
+      status: 'error'
+    });
+  }
+
+  return {
+    id: id,
+    type: 'response',
+    status: 'success',
+    result: _.omit(result, 'status')
+  };
+};
+
+/**
+ * Create an error response to a request that could not be sent
+ *
+ * @param {Number} id
+ * @param {String} error
+ * @param {String} errorMessage
+ * @return {Object} response
+ */
+
+JsonRpcTransport.createErrorResponse = function(id, error, errorMessage) {
+  return {
+    id: id,
+    type: 'response',
+    status: 'error',
+    error: error,
+    error_message: errorMessage
+  };
+};
+
+/**
+ * Send a request, as a JSON-serialized WebSocket message
+ *
+ * @param {String} data
+ */
+
+JsonRpcTransport.prototype.send = function(data) {
+  const self = this;
+  const message = JSON.parse(data);
+
+  if (this.readyState !== JsonRpcTransport.OPEN) {
+    throw new Error('not opened');
+  }
+
+  if (message.command === 'subscribe' && isPolledSubscription(message)) {
+    this._subscribe(message);
+    return;
+  }
+
+  if (message.command === 'unsubscribe' && isPolledSubscription(message)) {
+    this._unsubscribe(message);
+    return;
+  }
+
+  if (_.includes(JsonRpcTransport.SUBSCRIPTION_COMMANDS, message.command)) {
+    setImmediate(function() {
+      self._receive(JsonRpcTransport.createErrorResponse(message.id,
+        'notSupported', 'The ' + message.command
+        + ' command is not supported over JSON-RPC'));
+    });
+    return;
+  }
+
+  this._post(message.command, _.omit(message, ['id', 'command']),
+    function(error, result) {
+      self._receive(error ?
+        JsonRpcTransport.createErrorResponse(message.id, 'httpError',
+          error.message) :
+        JsonRpcTransport.createResponse(message.id, result));
+    });
+};
+
+/**
+ * Stop polling and report that the transport has closed
+ */
+
+JsonRpcTransport.prototype.close = function() {
+  const self = this;
+
+  if (this.readyState === JsonRpcTransport.CLOSED) {
+    return;
+  }
+
+  this._stopPolling();
+  this.readyState = JsonRpcTransport.CLOSED;
+
+  setImmediate(function() {
+    self.onclose();
+  });
+};
+
+/**
+ * Deliver a message to the onmessage handler, unless the transport has been
+ * closed while waiting for it
+ *
+ * @param {Object} message
+ * @api private
+ */
+
+JsonRpcTransport.prototype._receive = function(message) {
+  if (this.readyState === JsonRpcTransport.OPEN) {
+    this.onmessage({data: JSON.stringify(message)});
+  }
+};
+
+/**
+ * Close the transport because rippled could not be reached
+ *
+ * @param {Error} error
+ * @api private
+ */
+
+JsonRpcTransport.prototype._fail = function(error) {
+  if (this.readyState === JsonRpcTransport.OPEN) {
+    this._stopPolling();
+    this.readyState = JsonRpcTransport.CLOSED;
+    this.onerror(error);
+  }
+};
+
+/**
+ * POST a JSON-RPC request
+ *
+ * @param {String} method
+ * @param {Object} params
+ * @param {Function} callback - called with the result of the request
+ * @api private
+ */
+
+JsonRpcTransport.prototype._post = function(method, params, callback_) {
+  const callback = _.once(callback_);
+  const body = JSON.stringify({method: method, params: [params]});
+  const options = _.assign(url.parse(this.url), this._options, {
+    method: 'POST',
+    headers: _.assign({
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body)
+    }, this._options.headers)
+  });
+  const protocol = options.protocol === 'https:' ? https : http;
+
+  const request = protocol.request(options, function(response) {
+    let responseBody = '';
+
+    response.setEncoding('utf8');
+    response.on('data', function(chunk) {
+      responseBody += chunk;
+    });
+    response.on('end', function() {
+      let json;
+
+      try {
+        json = JSON.parse(responseBody);
+      } catch (e) {
+        json = undefined;
+      }
+
+      if (response.statusCode !== 200 || !_.isPlainObject(json)
+          || !_.isPlainObject(json.result)) {
+        callback(new Error('Unexpected response from server: HTTP '
+          + response.statusCode + ' ' + responseBody));
+        return;
+      }
+
+      callback(null, json.result);
+    });
+  });
+
+  request.on('error', callback);
+  request.end(body);
+};
+
+/**
+ * Request server_state, failing if rippled could not be reached
+ *
+ * @param {Function} callback - called with the server state
+ * @api private
+ */
+
+JsonRpcTransport.prototype._requestServerState = function(callback) {
+  const self = this;
+
+  this._post('server_state', {}, function(error, result) {
+    if (self.readyState !== JsonRpcTransport.OPEN) {
+      return;
+    }
+
+    if (error) {
+      self._fail(error);
+    } else if (result.status === 'error' || !_.isPlainObject(result.state)) {
+      self._fail(new Error('server_state failed: '
+        + (result.error_message || result.error)));
+    } else {
+      callback(result.state);
+    }
+  });
+};
+
+/**
+ * Answer a subscription to the polled streams with the current server state,
+ * in the format of the response to a subscribe request, and start polling
+ *
+ * @param {Object} message
+ * @api private
+ */
+
+JsonRpcTransport.prototype._subscribe = function(message) {
+  const self = this;
+
+  this._isSubscribed = false;
+  this._stopPolling();
+
+  this._requestServerState(function(state) {
+    self._state = state;
+    self._isSubscribed = true;
+    self._receive(JsonRpcTransport.createResponse(message.id,
+      _.assign(formatLedger(state), formatServerStatus(state), {
+        pubkey_node: state.pubkey_node,
+        status: 'success'
+      })));
+    // the ledger stream would only deliver the next ledger, but without one
+    // the server cannot tell when its last ledger closed
+    if (getLedgerIndex(state) > 0) {
+      self._receive(_.assign({type: 'ledgerClosed'}, formatLedger(state)));
+    }
+    self._schedulePoll();
+  });
+};
+
+/**
+ * @param {Object} message
+ * @api private
+ */
+
+JsonRpcTransport.prototype._unsubscribe = function(message) {
+  const self = this;
+
+  this._isSubscribed = false;
+  this._stopPolling();
+
+  setImmediate(function() {
+    self._receive(JsonRpcTransport.createResponse(message.id,
+      {status: 'success'}));
+  });
+};
+
+JsonRpcTransport.prototype._schedulePoll = function() {
+  clearTimeout(this._pollTimer);
+  this._pollTimer = setTimeout(this._poll.bind(this),
+    JsonRpcTransport.pollInterval);
+};
+
+JsonRpcTransport.prototype._stopPolling = function() {
+  clearTimeout(this._pollTimer);
+  this._pollTimer = undefined;
+};
+
+/**
+ * Poll server_state and emit the ledgerClosed and serverStatus messages that
+ * the streams would have delivered since the last poll
+ *
+ * @api private
+ */
+
+JsonRpcTransport.prototype._poll = function() {
+  const self = this;
+
+  this._requestServerState(function(state) {
+    // the streams may have been unsubscribed while waiting
+    if (!self._isSubscribed) {
+      return;
+    }
+
+    const previousState = self._state;
+    self._state = state;
+
+    if (getLedgerIndex(state) > getLedgerIndex(previousState)) {
+      self._receive(_.assign({type: 'ledgerClosed'}, formatLedger(state)));
+    }
+
+    const serverStatus = formatServerStatus(state);
+    if (!_.isEqual(serverStatus, formatServerStatus(previousState))) {
+      self._receive(_.assign({type: 'serverStatus'}, serverStatus));
+    }
+
+    self._schedulePoll();
+  });
+};
+
+exports.JsonRpcTransport = JsonRpcTransport;
@@ -3,6 +3,7 @@ const BigNumber = require('bignumber.js');
 const Transaction = require('./transaction').Transaction;
 const SHAMap = require('./shamap').SHAMap;
 const SHAMapTreeNode = require('./shamap').SHAMapTreeNode;
+const SHAMapTreeNodeLeaf = require('./shamap').SHAMapTreeNodeLeaf;
 const SerializedObject = require('./serializedobject').SerializedObject;
 const stypes = require('./serializedtypes');
 const UInt160 = require('./uint160').UInt160;
@@ -101,20 +102,55 @@ Ledger.prototype.parse_json = function(v) {
   this.ledger_json = v;
 };
 
-Ledger.prototype.calc_tx_hash = function() {
+/**
+ * @param {Object} tx_json - transaction with its metadata in `metaData`
+ * @return {Object} - the key and data of its transaction tree leaf
+ */
+function serializeTransactionNode(tx_json) {
+  const tx = Transaction.from_json(tx_json);
+  const meta = SerializedObject.from_json(tx_json.metaData);
+
+  const data = new SerializedObject();
+  stypes.VariableLength.serialize(data, tx.serialize().to_hex());
+  stypes.VariableLength.serialize(data, meta.to_hex());
+  return {tag: tx.hash(), data: data};
+}
+
+Ledger.prototype.build_tx_map = function() {
   const tx_map = new SHAMap();
 
   this.ledger_json.transactions.forEach(function(tx_json) {
-    const tx = Transaction.from_json(tx_json);
-    const meta = SerializedObject.from_json(tx_json.metaData);
-
-    const data = new SerializedObject();
-    stypes.VariableLength.serialize(data, tx.serialize().to_hex());
-    stypes.VariableLength.serialize(data, meta.to_hex());
-    tx_map.add_item(tx.hash(), data, SHAMapTreeNode.TYPE_TRANSACTION_MD);
+    const node = serializeTransactionNode(tx_json);
+    tx_map.add_item(node.tag, node.data, SHAMapTreeNode.TYPE_TRANSACTION_MD);
   });
 
-  return tx_map.hash();
+  return tx_map;
+};
+
+Ledger.prototype.calc_tx_hash = function() {
+  return this.build_tx_map().hash();
+};
+
+/**
+ * @param {String} hash - of a transaction in this ledger
+ * @return {Array<Array<String>>|null} - proof that the transaction is in the
+ *   transaction tree, or null if it is not in this ledger
+ */
+Ledger.prototype.calc_tx_proof = function(hash) {
+  return this.build_tx_map().get_proof(hash.toUpperCase());
+};
+
+/**
+ * @param {Object} tx_json - transaction with its metadata in `metaData`
+ * @param {Array<Array<String>>} proof - as returned by calc_tx_proof
+ * @param {String} transaction_hash - root hash of the transaction tree
+ * @return {Boolean} - true if the proof shows the transaction is in the tree
+ */
+Ledger.verifyTransactionProof = function(tx_json, proof, transaction_hash) {
+  const node = serializeTransactionNode(tx_json);
+  const leaf = new SHAMapTreeNodeLeaf(node.tag, node.data,
+    SHAMapTreeNode.TYPE_TRANSACTION_MD);
+  return SHAMap.verify_proof(node.tag, leaf.hash(), proof, transaction_hash);
 };
 
 /**
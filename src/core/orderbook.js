@@ -79,7 +79,12 @@ function OrderBook(remote,
 
   function computeAutobridgedOffersWrapper() {
     self.computeAutobridgedOffers();
-    self.mergeDirectAndAutobridgedBooks();
+
+    // Direct offers are merged in once they have been loaded, otherwise the
+    // model would be emitted without them
+    if (self._synced) {
+      self.mergeDirectAndAutobridgedBooks();
+    }
   }
 
   if (this._isAutobridgeable) {
@@ -131,24 +136,36 @@ function OrderBook(remote,
     listenersModified('remove', event);
   });
 
+  function subscribeWrapper() {
+    self.subscribe();
+  }
+
+  function handleDisconnect() {
+    self.resetCache();
+    self._remote.removeListener('prepare_subscribe', subscribeWrapper);
+    self._remote.once('prepare_subscribe', subscribeWrapper);
+  }
+
   this._remote.on('transaction', updateFundedAmountsWrapper);
 
   this.on('unsubscribe', function() {
     self.resetCache();
 
+    // An unsubscribed book is discarded, so it must not stay reachable
+    // from the remote
     self._remote.removeListener('transaction', updateFundedAmountsWrapper);
-  });
+    self._remote.removeListener('prepare_subscribe', subscribeWrapper);
+    self._remote.removeListener('disconnect', handleDisconnect);
 
-  this._remote.once('prepare_subscribe', function() {
-    self.subscribe();
+    // The leg books unsubscribe once no other book listens to them
+    if (self._isAutobridgeable) {
+      self._legOneBook.removeListener('model', computeAutobridgedOffersWrapper);
+      self._legTwoBook.removeListener('model', computeAutobridgedOffersWrapper);
+    }
   });
 
-  this._remote.on('disconnect', function() {
-    self.resetCache();
-    self._remote.once('prepare_subscribe', function() {
-      self.subscribe();
-    });
-  });
+  this._remote.once('prepare_subscribe', subscribeWrapper);
+  this._remote.on('disconnect', handleDisconnect);
 
   return this;
 }
@@ -197,7 +214,9 @@ OrderBook.offerRewrite = function(offer) {
 };
 
 /**
- * Initialize orderbook. Get orderbook offers and subscribe to transactions
+ * Initialize orderbook. Get orderbook offers and subscribe to transactions.
+ * Emits 'subscribed' once subscribed to transactions, or 'subscribe_error'
+ * if a step failed
  */
 
 OrderBook.prototype.subscribe = function() {
@@ -223,7 +242,13 @@ OrderBook.prototype.subscribe = function() {
     }
   ];
 
-  async.series(steps);
+  async.series(steps, function(err) {
+    if (err) {
+      self.emit('subscribe_error', err);
+    } else {
+      self.emit('subscribed');
+    }
+  });
 };
 
 /**
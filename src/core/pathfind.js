@@ -11,7 +11,8 @@ const Amount = require('./amount').Amount;
  * the 'end' and 'superceded' events.
  */
 
-function PathFind(remote, src_account, dst_account, dst_amount, src_currencies
+function PathFind(remote, src_account, dst_account, dst_amount, src_currencies,
+  send_max
 ) {
   EventEmitter.call(this);
 
@@ -21,6 +22,7 @@ function PathFind(remote, src_account, dst_account, dst_amount, src_currencies
   this.dst_account = dst_account;
   this.dst_amount = dst_amount;
   this.src_currencies = src_currencies;
+  this.send_max = send_max;
 }
 
 util.inherits(PathFind, EventEmitter);
@@ -42,7 +44,8 @@ PathFind.prototype.create = function() {
     source_account: this.src_account,
     destination_account: this.dst_account,
     destination_amount: this.dst_amount,
-    source_currencies: this.src_currencies
+    source_currencies: this.src_currencies,
+    send_max: this.send_max
   });
 
   req.once('error', function(err) {
@@ -60,7 +63,18 @@ PathFind.prototype.create = function() {
 
 PathFind.prototype.close = function() {
   this.removeAllListeners('update');
-  this.remote.requestPathFindClose().broadcast().request();
+
+  if (this.remote._cur_path_find === this) {
+    this.remote.requestPathFindClose().broadcast().request();
+  } else {
+    // A queued path find has not been created, so there is nothing to close
+    const queue = this.remote._queued_path_finds;
+    const index = queue.indexOf(this);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+  }
+
   this.emit('end');
   this.emit('close');
 };
@@ -145,6 +145,16 @@ function Remote(options = {}) {
   if (!Array.isArray(this.servers)) {
     throw new TypeError('servers must be an array');
   }
+  if (!_.includes(Remote.SERVER_SELECTIONS, this.server_selection)) {
+    throw new TypeError('server_selection must be one of: '
+      + Remote.SERVER_SELECTIONS.join(', '));
+  }
+  if (typeof this.max_ledger_lag !== 'number') {
+    throw new TypeError('max_ledger_lag must be a number');
+  }
+  if (typeof this.max_latency !== 'number') {
+    throw new TypeError('max_latency must be a number');
+  }
 
   this.setMaxListeners(this.max_listeners);
 
@@ -198,9 +208,18 @@ Remote.DEFAULTS = {
   automatic_resubmission: true,
   last_ledger_offset: 3,
   servers: [ ],
+  // 'score' prefers the server with the lowest score, 'priority' prefers
+  // servers in the order they were added
+  server_selection: 'score',
+  // servers lagging or responding slower than these are only used when no
+  // other server is available
+  max_ledger_lag: Infinity,
+  max_latency: Infinity, // milliseconds
   max_listeners: 0 // remove Node EventEmitter warnings
 };
 
+Remote.SERVER_SELECTIONS = ['score', 'priority'];
+
 Remote.TRANSACTION_EVENTS = [
   'transaction',
   'transaction_all'
@@ -640,6 +659,10 @@ Remote.prototype._handleTransaction = function(message, server) {
 
   this.emit('transaction', message, server);
   this.emit('transaction_all', message, server);
+
+  // Unlike the events above, listening for 'transaction_received' does not
+  // subscribe to the full transaction stream
+  this.emit('transaction_received', message, server);
 };
 
 /**
@@ -706,29 +729,35 @@ Remote.prototype.getConnectedServers = function() {
 
 /**
  * Select a server to handle a request. Servers are
- * automatically prioritized
+ * automatically prioritized, and unhealthy servers are
+ * only selected when no healthy server is connected
  */
 
 Remote.prototype._getServer =
 Remote.prototype.getServer = function() {
-  if (this._primary_server && this._primary_server.isConnected()) {
-    return this._primary_server;
-  }
-
-  if (!this._servers.length) {
+  const connectedServers = this.getConnectedServers();
+  if (connectedServers.length === 0) {
     return null;
   }
 
-  const connectedServers = this.getConnectedServers();
-  if (connectedServers.length === 0 || !connectedServers[0]) {
-    return null;
+  const healthyServers = connectedServers.filter(function(server) {
+    return server.isHealthy();
+  });
+  const servers = healthyServers.length > 0 ?
+    healthyServers : connectedServers;
+
+  if (_.includes(servers, this._primary_server)) {
+    return this._primary_server;
+  }
+  if (this.server_selection === 'priority') {
+    return servers[0];
   }
 
-  let server = connectedServers[0];
+  let server = servers[0];
   let cScore = server._score + server._fee;
 
-  for (let i = 1; i < connectedServers.length; i++) {
-    const _server = connectedServers[i];
+  for (let i = 1; i < servers.length; i++) {
+    const _server = servers[i];
     const bScore = _server._score + _server._fee;
     if (bScore < cScore) {
       server = _server;
@@ -764,6 +793,9 @@ Remote.prototype.request = function(request) {
   if (!(request instanceof Request)) {
     throw new Error('Argument is not a Request');
   }
+  if (request.cancelled) {
+    return;
+  }
 
   if (!this._servers.length) {
     return request.emit('error', new Error('No servers available'));
@@ -775,6 +807,12 @@ Remote.prototype.request = function(request) {
     return request.emit('error', new Error('Server does not exist'));
   }
 
+  if (request.server === undefined) {
+    // requests that are not bound to a server may be moved to another
+    // server if the selected one becomes unhealthy
+    request._failover = true;
+  }
+
   const server = request.server || this.getServer();
   if (server) {
     server._request(request);
@@ -1159,6 +1197,7 @@ Remote.prototype.requestTransaction = function(options, callback) {
  *   @param {String|Number} [options.ledger] - identifier
  *   @param {Number} [options.limit] - max results per response
  *   @param {String} [options.marker] - start position in response paging
+ *   @param {String} [options.type] - ledger entry type filter
  * @param {Function} [callback]
  * @return {Request}
  * @throws {Error} if a marker is provided, but no ledger_index or ledger_hash
@@ -1202,6 +1241,10 @@ Remote.prototype._accountRequest = function(command, options, callback) {
     request.message.marker = options.marker;
   }
 
+  if (options.type) {
+    request.message.type = options.type;
+  }
+
   request.callback(callback);
 
   return request;
@@ -1286,6 +1329,27 @@ Remote.prototype.requestAccountOffers = function(options, callback) {
   return this._accountRequest('account_offers', options, callback);
 };
 
+/**
+ * Request account_objects
+ *
+ * Requests for account_objects support paging, provide a limit and marker
+ * to page through responses.
+ *
+ * @param {Object} options
+ *   @param {String} options.account - ripple address
+ *   @param {String|Number} [options.ledger] identifier
+ *   @param {String} [options.type] - only return ledger entries of this
+ *     type, e.g. 'offer', 'state', 'ticket'
+ *   @param {Number} [options.limit] - max results per response
+ *   @param {String} [options.marker] - start position in response paging
+ * @param {Function} [callback]
+ * @return {Request}
+ */
+
+Remote.prototype.requestAccountObjects = function(options, callback) {
+  return this._accountRequest('account_objects', options, callback);
+};
+
 /**
  * Request account_tx
  *
@@ -1607,7 +1671,12 @@ Remote.prototype._serverPrepareSubscribe = function(server, callback_) {
   const feeds = ['ledger', 'server'];
   const callback = _.isFunction(server) ? server : callback_;
 
-  if (this._transaction_listeners) {
+  // a server that cannot push transactions would reject the whole
+  // subscription and never come online
+  const canSubscribe = !(server instanceof Server)
+    || server.supportsSubscriptions();
+
+  if (this._transaction_listeners && canSubscribe) {
     feeds.push('transactions');
   }
 
@@ -1793,18 +1862,9 @@ Remote.prototype.findAccount = function(accountID) {
  * @return {PathFind} -
  */
 Remote.prototype.createPathFind = function(options, callback) {
-  if (this._cur_path_find !== null) {
-    this._queued_path_finds.push({options, callback});
-    return null;
-  }
-
   const pathFind = new PathFind(this,
     options.src_account, options.dst_account,
-    options.dst_amount, options.src_currencies);
-
-  if (this._cur_path_find) {
-    this._cur_path_find.notify_superceded();
-  }
+    options.dst_amount, options.src_currencies, options.send_max);
 
   if (callback) {
     pathFind.on('update', (data) => {
@@ -1816,8 +1876,14 @@ Remote.prototype.createPathFind = function(options, callback) {
     pathFind.on('error', callback);
   }
 
-  this._cur_path_find = pathFind;
-  pathFind.create();
+  // Only one path find can be open per connection, so the others wait until
+  // it is closed
+  if (this._cur_path_find !== null) {
+    this._queued_path_finds.push(pathFind);
+  } else {
+    this._cur_path_find = pathFind;
+    pathFind.create();
+  }
   return pathFind;
 };
 
@@ -1850,6 +1916,13 @@ Remote.prototype.book = Remote.prototype.createOrderBook = function(options) {
 
   if (book.is_valid()) {
     this._books[key] = book;
+
+    // An unsubscribed book never subscribes again, so it must not be reused
+    book.once('unsubscribe', () => {
+      if (this._books[key] === book) {
+        delete this._books[key];
+      }
+    });
   }
 
   return book;
@@ -2137,6 +2210,10 @@ Remote.prototype.requestPathFindCreate = function(options, callback) {
       options.source_currencies.map(Remote.prepareCurrency);
   }
 
+  if (options.send_max !== undefined) {
+    request.message.send_max = Amount.json_rewrite(options.send_max);
+  }
+
   request.callback(callback);
   return request;
 };
@@ -2155,8 +2232,8 @@ Remote.prototype.requestPathFindClose = function(callback) {
   request.callback((error, data) => {
     this._cur_path_find = null;
     if (this._queued_path_finds.length > 0) {
-      const pathfind = this._queued_path_finds.shift();
-      this.createPathFind(pathfind.options, pathfind.callback);
+      this._cur_path_find = this._queued_path_finds.shift();
+      this._cur_path_find.create();
     }
     if (callback) {
       callback(error, data);
@@ -27,6 +27,7 @@ function Request(remote, command) {
 
   this.remote = remote;
   this.requested = false;
+  this.cancelled = false;
   this.reconnectTimeout = 1000 * 3;
   this.successEvent = 'success';
   this.errorEvent = 'error';
@@ -191,6 +192,12 @@ Request.prototype.broadcast = function(isResponseSuccess = isResponseNotError) {
 Request.prototype.cancel = function() {
   this.removeAllListeners();
   this.on('error', function() {});
+  this.cancelled = true;
+
+  // The server no longer waits for a response to a cancelled request
+  if (this.server) {
+    this.server._removeRequest(this);
+  }
 
   return this;
 };
@@ -214,10 +221,8 @@ Request.prototype.setReconnectTimeout = function(timeout) {
 Request.prototype.callback = function(callback, successEvent, errorEvent) {
   const self = this;
 
-  if (typeof callback !== 'function') {
-    return this;
-  }
-
+  // the events are kept for a callback that is added later, so that a
+  // request can be set up before it is sent
   if (typeof successEvent === 'string') {
     this.successEvent = successEvent;
   }
@@ -225,6 +230,10 @@ Request.prototype.callback = function(callback, successEvent, errorEvent) {
     this.errorEvent = errorEvent;
   }
 
+  if (typeof callback !== 'function') {
+    return this;
+  }
+
   let called = false;
 
   function requestSuccess(message) {
@@ -9,6 +9,7 @@ const EventEmitter = require('events').EventEmitter;
 const RippleError = require('./rippleerror').RippleError;
 const Amount = require('./amount').Amount;
 const RangeSet = require('./rangeset').RangeSet;
+const JsonRpcTransport = require('./jsonrpctransport').JsonRpcTransport;
 const log = require('./log').internal.sub('server');
 
 /**
@@ -19,6 +20,8 @@ const log = require('./log').internal.sub('server');
  *    @param {String} host
  *    @param {Number|String} port
  *    @param [Boolean] securec
+ *    @param [Boolean] jsonrpc - send requests over HTTP instead of holding
+ *      a WebSocket open, which is also selected by an http: or https: URL
  */
 
 function Server(remote, opts_) {
@@ -29,10 +32,14 @@ function Server(remote, opts_) {
 
   if (typeof opts_ === 'string') {
     const parsedUrl = url.parse(opts_);
+    const isInsecure = parsedUrl.protocol === 'ws:'
+      || parsedUrl.protocol === 'http:';
     opts = {
       host: parsedUrl.hostname,
       port: parsedUrl.port,
-      secure: (parsedUrl.protocol === 'ws:') ? false : true
+      secure: !isInsecure,
+      jsonrpc: parsedUrl.protocol === 'http:'
+        || parsedUrl.protocol === 'https:'
     };
   } else {
     opts = opts_;
@@ -92,6 +99,7 @@ function Server(remote, opts_) {
 
   this._lastLedgerIndex = NaN;
   this._lastLedgerClose = NaN;
+  this._latency = NaN;
 
   this._score = 0;
   this._scoreWeights = {
@@ -101,7 +109,9 @@ function Server(remote, opts_) {
 
   this._pubkey_node = '';
 
-  this._url = this._opts.url = (this._opts.secure ? 'wss://' : 'ws://')
+  const scheme = this._opts.jsonrpc ? 'http' : 'ws';
+
+  this._url = this._opts.url = scheme + (this._opts.secure ? 's://' : '://')
     + this._opts.host + ':' + this._opts.port;
 
   this.on('message', function onMessage(message) {
@@ -120,12 +130,24 @@ function Server(remote, opts_) {
   this.on('disconnect', function onDisconnect() {
     clearInterval(self._activityInterval);
     self.once('ledger_closed', setActivityInterval);
+    self._failoverRequests();
   });
 
   this.once('ledger_closed', setActivityInterval);
 
+  this.on('ledger_closed', function onLedgerClose() {
+    // a slow server stops receiving requests, so it has to be pinged to
+    // find out whether it has recovered
+    if (self._latency > self._remote.max_latency) {
+      self._ping();
+    }
+  });
+
   this._remote.on('ledger_closed', function onRemoteLedgerClose(ledger) {
     self._updateScore('ledgerclose', ledger);
+    if (!self.isHealthy()) {
+      self._failoverRequests();
+    }
   });
 
   this.on('response_ping', function onPingResponse(message, request) {
@@ -180,7 +202,8 @@ Server.onlineStates = [
 
 /**
  * This is the final interface between client code and a socket connection to a
- * `rippled` server. As such, this is a decent hook point to allow a WebSocket
+ * `rippled` server. Other transports, such as JsonRpcTransport, implement the
+ * same interface. As such, this is a decent hook point to allow a WebSocket
  * interface conforming object to be used as a basis to mock rippled. This
  * avoids the need to bind a websocket server to a port and allows a more
  * synchronous style of code to represent a client <-> server message sequence.
@@ -281,6 +304,44 @@ Server.prototype.requestServerID = function() {
   this._request(serverInfoRequest);
 };
 
+/**
+ * Ping server to measure its latency
+ *
+ * @api private
+ */
+
+Server.prototype._ping = function() {
+  const pingRequest = this._remote.requestPing();
+  pingRequest.on('error', function() {});
+  this._request(pingRequest);
+};
+
+/**
+ * Move requests that are waiting for a response from this server to the
+ * server that Remote currently selects. Requests that were explicitly sent
+ * to this server stay here
+ *
+ * @api private
+ */
+
+Server.prototype._failoverRequests = function() {
+  const self = this;
+  const server = this._remote.getServer();
+
+  if (!server || server === this) {
+    return;
+  }
+
+  _.filter(this._requests, '_failover').forEach(function(request) {
+    if (self._remote.trace) {
+      log.info(self.getServerID(), 'failover:', request.message);
+    }
+    delete self._requests[request.message.id];
+    request.server = undefined;
+    self._remote.request(request);
+  });
+};
+
 /**
  * Server maintains a score for request prioritization.
  *
@@ -409,15 +470,63 @@ Server.prototype.reconnect = function() {
 };
 
 /**
- * Connect to rippled WebSocket server and subscribe to events that are
- * internally requisite. Automatically retry connections with a gradual
- * back-off
+ * Get the options of the WebSocket connection or of the JSON-RPC requests:
+ * the remote's proxy, its HTTP basic authorization and its client TLS
+ * settings
  *
- * @api public
+ * @return {Object} options
+ * @api private
  */
 
-Server.prototype.connect = function() {
-  const self = this;
+Server.prototype._getConnectionOptions = function() {
+  const remote = this._remote;
+  const tlsOptions = _.omit({
+    ca: remote.trusted_certificates,
+    key: remote.key,
+    passphrase: remote.passphrase,
+    cert: remote.certificate
+  }, _.isUndefined);
+  const options = _.assign({}, tlsOptions);
+
+  if (remote.proxy !== undefined) {
+    const proxyOptions = _.assign(url.parse(remote.proxy), tlsOptions, {
+      secureEndpoint: this._opts.secure
+    });
+    if (remote.proxy_authorization !== undefined) {
+      proxyOptions.auth = remote.proxy_authorization;
+    }
+    let HttpsProxyAgent;
+    try {
+      HttpsProxyAgent = require('https-proxy-agent');
+    } catch (error) {
+      throw new Error('"proxy" option is not supported in the browser');
+    }
+    options.agent = new HttpsProxyAgent(proxyOptions);
+  }
+
+  if (remote.authorization !== undefined) {
+    const credentials = new Buffer(remote.authorization).toString('base64');
+    options.headers = {Authorization: 'Basic ' + credentials};
+  }
+
+  return options;
+};
+
+/**
+ * Create the transport to the server: a WebSocket, or a JsonRpcTransport if
+ * the server is configured for JSON-RPC. Either one implements the WebSocket
+ * interface that Server uses
+ *
+ * @return {Object} transport
+ * @api private
+ */
+
+Server.prototype._createTransport = function() {
+  const options = this._getConnectionOptions();
+
+  if (this._opts.jsonrpc) {
+    return new JsonRpcTransport(this._opts.url, options);
+  }
 
   const WebSocket = Server.websocketConstructor();
 
@@ -425,6 +534,24 @@ Server.prototype.connect = function() {
     throw new Error('No websocket support detected!');
   }
 
+  if (_.isEmpty(options)) {
+    return new WebSocket(this._opts.url);
+  }
+
+  return new WebSocket(this._opts.url, options);
+};
+
+/**
+ * Connect to rippled WebSocket server and subscribe to events that are
+ * internally requisite. Automatically retry connections with a gradual
+ * back-off
+ *
+ * @api public
+ */
+
+Server.prototype.connect = function() {
+  const self = this;
+
   // We don't connect if we believe we're already connected. This means we have
   // recently received a message from the server and the WebSocket has not
   // reported any issues either. If we do fail to ping or the connection drops,
@@ -442,22 +569,7 @@ Server.prototype.connect = function() {
     log.info(this.getServerID(), 'connect');
   }
 
-  if (this._remote.proxy !== undefined) {
-    const parsed = url.parse(this._opts.url);
-    const opts = url.parse(this._remote.proxy);
-    opts.secureEndpoint = parsed.protocol === 'wss:';
-    let HttpsProxyAgent;
-    try {
-      HttpsProxyAgent = require('https-proxy-agent');
-    } catch (error) {
-      throw new Error('"proxy" option is not supported in the browser');
-    }
-    const agent = new HttpsProxyAgent(opts);
-
-    this._ws = new WebSocket(this._opts.url, {agent: agent});
-  } else {
-    this._ws = new WebSocket(this._opts.url);
-  }
+  this._ws = this._createTransport();
 
   const ws = this._ws;
 
@@ -667,6 +779,8 @@ Server.prototype._handleResponse = function(message) {
     return;
   }
 
+  this._latency = Date.now() - request.time;
+
   if (message.status === 'success') {
     if (this._remote.trace) {
       log.info(this.getServerID(), 'response:', message);
@@ -825,17 +939,22 @@ Server.prototype._request = function(request) {
     return;
   }
 
+  const id = this._id;
+
   request.server = this;
-  request.message.id = this._id;
+  request.message.id = id;
   request.time = Date.now();
 
-  this._requests[request.message.id] = request;
+  this._requests[id] = request;
 
   // Advance message ID
   this._id++;
 
   function sendRequest() {
-    self._sendMessage(request.message);
+    // the request may have failed over to another server while waiting
+    if (self._requests[id] === request) {
+      self._sendMessage(request.message);
+    }
   }
 
   const isOpen = this._ws.readyState === 1;
@@ -848,6 +967,22 @@ Server.prototype._request = function(request) {
   }
 };
 
+/**
+ * Stop waiting for a response to a Request, and do not send it if it is
+ * waiting for the connection
+ *
+ * @param {Request} request
+ * @api private
+ */
+
+Server.prototype._removeRequest = function(request) {
+  const id = request.message.id;
+
+  if (this._requests[id] === request) {
+    delete this._requests[id];
+  }
+};
+
 /**
  * Get server connected status
  *
@@ -858,6 +993,44 @@ Server.prototype.isConnected = Server.prototype._isConnected = function() {
   return this._connected;
 };
 
+/**
+ * Get whether the server can push messages for subscriptions, which a
+ * JSON-RPC server cannot
+ *
+ * @return boolean
+ */
+
+Server.prototype.supportsSubscriptions = function() {
+  return !this._opts.jsonrpc;
+};
+
+/**
+ * Get server health. A connected server is unhealthy when its last closed
+ * ledger lags behind the newest ledger seen on any server by more than the
+ * remote's `max_ledger_lag`, or its last response took longer than
+ * `max_latency` milliseconds. An unknown lag or latency is not held against
+ * a server
+ *
+ * @return boolean
+ */
+
+Server.prototype.isHealthy = function() {
+  return this.isConnected()
+    && !(this.getLedgerLag() > this._remote.max_ledger_lag)
+    && !(this._latency > this._remote.max_latency);
+};
+
+/**
+ * Get the number of ledgers this server's last closed ledger is behind the
+ * newest ledger seen on any server
+ *
+ * @return number
+ */
+
+Server.prototype.getLedgerLag = function() {
+  return this._remote._ledger_current_index - 1 - this._lastLedgerIndex;
+};
+
 /**
  * Calculate transaction fee
  *
@@ -105,27 +105,72 @@ SHAMapTreeNodeInner.prototype.get_node = function(slot) {
   return this.leaves[slot];
 };
 
+/**
+ * @return {Array<String>} hashes of the 16 slots, zero for empty slots
+ */
+SHAMapTreeNodeInner.prototype.child_hashes = function() {
+  const hashes = [];
+
+  for (let i = 0; i < 16; i++) {
+    const slot = i.toString(16).toUpperCase();
+
+    if (typeof this.leaves[slot] === 'object') {
+      hashes.push(this.leaves[slot].hash().to_hex());
+    } else {
+      hashes.push(UInt256.HEX_ZERO);
+    }
+  }
+
+  return hashes;
+};
+
+/**
+ * @param {Array<String>} hashes of the 16 slots of an inner node
+ * @return {UInt256} hash of the inner node
+ */
+SHAMapTreeNodeInner.hash_children = function(hashes) {
+  const hash_buffer = new SerializedObject();
+
+  hashes.forEach(function(hash) {
+    hash_buffer.append(UInt256.from_hex(hash).to_bytes());
+  });
+
+  const hash = hash_buffer.hash(hashprefixes.HASH_INNER_NODE);
+
+  return UInt256.from_bits(hash);
+};
+
 SHAMapTreeNodeInner.prototype.hash = function() {
   if (this.empty) {
     return UInt256.from_hex(UInt256.HEX_ZERO);
   }
 
-  var hash_buffer = new SerializedObject();
-
-  for (var i = 0; i < 16; i++) {
-    var leafHash = UInt256.from_hex(UInt256.HEX_ZERO);
-    var slot = i.toString(16).toUpperCase();
-
-    if (typeof this.leaves[slot] === 'object') {
-      leafHash = this.leaves[slot].hash();
-    }
+  return SHAMapTreeNodeInner.hash_children(this.child_hashes());
+};
 
-    hash_buffer.append(leafHash.to_bytes());
+/**
+ * @param {String} tag (of the leaf to prove)
+ * @return {Array<Array<String>>|null} the child hashes of every inner node
+ *   on the path to the leaf, starting with its parent, or null if the leaf
+ *   is not in the tree
+ */
+SHAMapTreeNodeInner.prototype.get_proof = function(tag) {
+  const node = this.get_node(tag[this.depth]);
+  let proof;
+
+  if (node instanceof SHAMapTreeNodeInner) {
+    proof = node.get_proof(tag);
+  } else if (node && node.tag === tag) {
+    proof = [];
+  } else {
+    return null;
   }
 
-  var hash = hash_buffer.hash(hashprefixes.HASH_INNER_NODE);
+  if (proof) {
+    proof.push(this.child_hashes());
+  }
 
-  return UInt256.from_bits(hash);
+  return proof;
 };
 
 /**
@@ -181,6 +226,42 @@ SHAMap.prototype.hash = function() {
   return this.root.hash();
 };
 
+/**
+ * @param {String} tag (equates to a ledger entry `index`)
+ * @return {Array<Array<String>>|null} proof that the item is in the tree
+ */
+SHAMap.prototype.get_proof = function(tag) {
+  return this.root.get_proof(tag);
+};
+
+/**
+ * Check that a leaf is in the tree with the given root hash by hashing the
+ * inner nodes of the proof from the leaf up to the root.
+ *
+ * @param {String} tag (of the leaf)
+ * @param {UInt256} leaf_hash (of the leaf)
+ * @param {Array<Array<String>>} proof (as returned by get_proof)
+ * @param {String} root_hash (of the tree)
+ * @return {Boolean} true if the proof is valid
+ */
+SHAMap.verify_proof = function(tag, leaf_hash, proof, root_hash) {
+  let hash = leaf_hash;
+
+  for (let i = 0; i < proof.length; i++) {
+    // the first inner node of the proof is the deepest one
+    const slot = parseInt(tag[proof.length - 1 - i], 16);
+
+    if (proof[i].length !== 16 ||
+        proof[i][slot].toUpperCase() !== hash.to_hex()) {
+      return false;
+    }
+
+    hash = SHAMapTreeNodeInner.hash_children(proof[i]);
+  }
+
+  return proof.length > 0 && hash.to_hex() === root_hash.toUpperCase();
+};
+
 exports.SHAMap = SHAMap;
 exports.SHAMapTreeNode = SHAMapTreeNode;
 exports.SHAMapTreeNodeInner = SHAMapTreeNodeInner;
@@ -127,6 +127,16 @@ Transaction.flags = {
     NoRippleDirect: 0x00010000,
     PartialPayment: 0x00020000,
     LimitQuality: 0x00040000
+  },
+
+  PaymentChannelClaim: {
+    Renew: 0x00010000,
+    Close: 0x00020000
+  },
+
+  EnableAmendment: {
+    GotMajority: 0x00010000,
+    LostMajority: 0x00020000
   }
 };
 
@@ -1345,11 +1355,7 @@ Transaction.prototype.setTakerPays = function(amount) {
 };
 
 Transaction.prototype.setExpiration = function(expiration) {
-  const timeOffset = expiration instanceof Date
-  ? expiration.getTime()
-  : expiration;
-
-  return this._setUInt32('Expiration', utils.time.toRipple(timeOffset));
+  return this._setTime('Expiration', expiration);
 };
 
 Transaction.prototype.setOfferSequence = function(offerSequence) {
@@ -1421,6 +1427,276 @@ Transaction.prototype.setSignerQuorum = function(quorum) {
   this._setUInt32('SignerQuorum', quorum);
 };
 
+Transaction.prototype._setHex = function(name, value) {
+  if (typeof value !== 'string' || !/^([0-9A-Fa-f]{2})+$/.test(value)) {
+    throw new Error(name + ' must be a valid hex string');
+  }
+
+  this.tx_json[name] = value.toUpperCase();
+
+  return this;
+};
+
+Transaction.prototype._setTime = function(name, time) {
+  const timeOffset = time instanceof Date ? time.getTime() : time;
+  return this._setUInt32(name, utils.time.toRipple(timeOffset));
+};
+
+/**
+ * Construct an 'EscrowCreate' transaction
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {String} options.destination
+ * @param {Amount} options.amount - must be XRP
+ * @param [String] options.condition - hex encoded crypto-condition
+ * @param [Number|Date] options.cancelAfter
+ * @param [Number|Date] options.finishAfter
+ * @param [Number] options.destinationTag
+ */
+
+Transaction.prototype.escrowCreate = function(options = {}) {
+  this.setType('EscrowCreate');
+  this.setAccount(options.account);
+  this.setDestination(options.destination);
+  this.setAmount(options.amount);
+
+  if (!_.isUndefined(options.condition)) {
+    this.setCondition(options.condition);
+  }
+  if (!_.isUndefined(options.cancelAfter)) {
+    this.setCancelAfter(options.cancelAfter);
+  }
+  if (!_.isUndefined(options.finishAfter)) {
+    this.setFinishAfter(options.finishAfter);
+  }
+  if (!_.isUndefined(options.destinationTag)) {
+    this.setDestinationTag(options.destinationTag);
+  }
+
+  return this;
+};
+
+/**
+ * Construct an 'EscrowFinish' transaction
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {String} options.owner - account that created the escrow
+ * @param {Number} options.offerSequence - sequence of the EscrowCreate
+ * @param [String] options.condition - hex encoded crypto-condition
+ * @param [String] options.fulfillment - hex encoded fulfillment
+ */
+
+Transaction.prototype.escrowFinish = function(options = {}) {
+  this.setType('EscrowFinish');
+  this.setAccount(options.account);
+  this.setOwner(options.owner);
+  this.setOfferSequence(options.offerSequence);
+
+  if (!_.isUndefined(options.condition)) {
+    this.setCondition(options.condition);
+  }
+  if (!_.isUndefined(options.fulfillment)) {
+    this.setFulfillment(options.fulfillment);
+  }
+
+  return this;
+};
+
+/**
+ * Construct an 'EscrowCancel' transaction
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {String} options.owner - account that created the escrow
+ * @param {Number} options.offerSequence - sequence of the EscrowCreate
+ */
+
+Transaction.prototype.escrowCancel = function(options = {}) {
+  this.setType('EscrowCancel');
+  this.setAccount(options.account);
+  this.setOwner(options.owner);
+  this.setOfferSequence(options.offerSequence);
+
+  return this;
+};
+
+Transaction.prototype.setOwner = function(owner) {
+  return this._setAccount('Owner', owner);
+};
+
+Transaction.prototype.setCondition = function(condition) {
+  return this._setHex('Condition', condition);
+};
+
+Transaction.prototype.setFulfillment = function(fulfillment) {
+  return this._setHex('Fulfillment', fulfillment);
+};
+
+Transaction.prototype.setCancelAfter = function(cancelAfter) {
+  return this._setTime('CancelAfter', cancelAfter);
+};
+
+Transaction.prototype.setFinishAfter = function(finishAfter) {
+  return this._setTime('FinishAfter', finishAfter);
+};
+
+/**
+ * Construct a 'PaymentChannelCreate' transaction
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {String} options.destination
+ * @param {Amount} options.amount - must be XRP
+ * @param {Number} options.settleDelay - seconds the destination has to claim
+ *   outstanding funds before the channel can close
+ * @param {String} options.publicKey - hex public key that signs claims
+ * @param [Number|Date] options.cancelAfter
+ * @param [Number] options.destinationTag
+ */
+
+Transaction.prototype.paymentChannelCreate = function(options = {}) {
+  this.setType('PaymentChannelCreate');
+  this.setAccount(options.account);
+  this.setDestination(options.destination);
+  this.setAmount(options.amount);
+  this.setSettleDelay(options.settleDelay);
+  this.setPublicKey(options.publicKey);
+
+  if (!_.isUndefined(options.cancelAfter)) {
+    this.setCancelAfter(options.cancelAfter);
+  }
+  if (!_.isUndefined(options.destinationTag)) {
+    this.setDestinationTag(options.destinationTag);
+  }
+
+  return this;
+};
+
+/**
+ * Construct a 'PaymentChannelFund' transaction
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {String} options.channel - channel id
+ * @param {Amount} options.amount - XRP to add to the channel
+ * @param [Number|Date] options.expiration
+ */
+
+Transaction.prototype.paymentChannelFund = function(options = {}) {
+  this.setType('PaymentChannelFund');
+  this.setAccount(options.account);
+  this.setChannel(options.channel);
+  this.setAmount(options.amount);
+
+  if (!_.isUndefined(options.expiration)) {
+    this.setExpiration(options.expiration);
+  }
+
+  return this;
+};
+
+/**
+ * Construct a 'PaymentChannelClaim' transaction
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {String} options.channel - channel id
+ * @param [Amount] options.balance - total XRP delivered after the claim
+ * @param [Amount] options.amount - XRP authorized by the signature
+ * @param [String] options.signature - hex signature of the claim
+ * @param [String] options.publicKey - hex public key that signed the claim
+ */
+
+Transaction.prototype.paymentChannelClaim = function(options = {}) {
+  this.setType('PaymentChannelClaim');
+  this.setAccount(options.account);
+  this.setChannel(options.channel);
+
+  if (!_.isUndefined(options.balance)) {
+    this.setBalance(options.balance);
+  }
+  if (!_.isUndefined(options.amount)) {
+    this.setAmount(options.amount);
+  }
+  if (!_.isUndefined(options.signature)) {
+    this.setSignature(options.signature);
+  }
+  if (!_.isUndefined(options.publicKey)) {
+    this.setPublicKey(options.publicKey);
+  }
+
+  return this;
+};
+
+Transaction.prototype.setSettleDelay = function(settleDelay) {
+  return this._setUInt32('SettleDelay', settleDelay);
+};
+
+Transaction.prototype.setChannel = function(channel) {
+  return this._setHash256('Channel', channel);
+};
+
+Transaction.prototype.setPublicKey = function(publicKey) {
+  return this._setHex('PublicKey', publicKey);
+};
+
+Transaction.prototype.setBalance = function(balance) {
+  return this._setAmount('Balance', balance);
+};
+
+Transaction.prototype.setSignature = function(signature) {
+  return this._setHex('Signature', signature);
+};
+
+/**
+ * Construct a 'TicketCreate' transaction
+ *
+ * Each ticket reserves a sequence number that a later transaction can use
+ * in place of the account's next sequence number
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {Number} options.ticketCount - number of tickets to create
+ */
+
+Transaction.prototype.ticketCreate = function(options = {}) {
+  this.setType('TicketCreate');
+  this.setAccount(options.account);
+  this.setTicketCount(options.ticketCount);
+
+  return this;
+};
+
+/**
+ * Construct a 'TicketCancel' transaction
+ *
+ * @param {Object} options
+ * @param {String} options.account
+ * @param {String} options.ticketID - ledger index of the ticket
+ */
+
+Transaction.prototype.ticketCancel = function(options = {}) {
+  this.setType('TicketCancel');
+  this.setAccount(options.account);
+  this.setTicketID(options.ticketID);
+
+  return this;
+};
+
+Transaction.prototype.setTicketCount = function(ticketCount) {
+  return this._setUInt32('TicketCount', ticketCount, {min_value: 1});
+};
+
+Transaction.prototype.setTicketSequence = function(ticketSequence) {
+  return this._setUInt32('TicketSequence', ticketSequence, {min_value: 1});
+};
+
+Transaction.prototype.setTicketID = function(ticketID) {
+  return this._setHash256('TicketID', ticketID);
+};
+
 /**
  * Submit transaction to the network
  *
@@ -1,8 +1,10 @@
 'use strict';
 const core = require('./core');
 const RippleAPI = require('./api');
+const CancellationToken = require('./api/common/cancellation-token');
 
 module.exports = {
   RippleAPI,
+  CancellationToken,
   _DEPRECATED: core   // WARNING: this will be removed soon
 };
@@ -1,9 +1,13 @@
 /* eslint-disable max-nested-callbacks */
 'use strict';
 const _ = require('lodash');
+const net = require('net');
+const http = require('http');
 const assert = require('assert-diff');
+const BigNumber = require('bignumber.js');
 const setupAPI = require('./setup-api');
 const RippleAPI = require('ripple-api').RippleAPI;
+const CancellationToken = require('ripple-api').CancellationToken;
 const common = RippleAPI._PRIVATE.common;
 const fixtures = require('./fixtures/api');
 const requests = fixtures.requests;
@@ -16,6 +20,7 @@ const utils = RippleAPI._PRIVATE.ledgerUtils;
 const ledgerClosed = require('./fixtures/api/rippled/ledger-close-newer');
 const schemaValidator = RippleAPI._PRIVATE.schemaValidator;
 const ledgerHashSchema = require('./fixtures/schemas/ledgerhash.json');
+const binaryLedgerData = require('./fixtures/binary-ledger-data.json');
 
 const orderbook = {
   base: {
@@ -28,6 +33,15 @@ const orderbook = {
   }
 };
 
+// order books only apply transactions once subscribed to the stream
+function whenBooksSubscribed(api, callback) {
+  if (_.every(api.remote._books, book => book._subscribed)) {
+    callback();
+  } else {
+    setTimeout(_.partial(whenBooksSubscribed, api, callback), 10);
+  }
+}
+
 function checkResult(expected, schemaName, response) {
   // console.log(JSON.stringify(response, null, 2));
   assert.deepEqual(response, expected);
@@ -69,6 +83,47 @@ describe('RippleAPI', function() {
         'prepare'));
   });
 
+  it('preparePayment - feeStrategy', function() {
+    const localInstructions = _.defaults({sequence: 23}, instructions);
+    const strategies = ['minimum', 'normal', 'urgent'];
+    return Promise.all(strategies.map(feeStrategy =>
+      this.api.preparePayment(address, requests.preparePayment,
+        _.assign({feeStrategy}, localInstructions)))
+    ).then(results => {
+      assert.deepEqual(_.map(results, 'instructions.fee'),
+        ['10', '12', '24']);
+    });
+  });
+
+  it('preparePayment - feeStrategy and maxFee', function() {
+    const localInstructions = _.defaults({sequence: 23,
+      feeStrategy: 'urgent', maxFee: '0.00002'}, instructions);
+    return this.api.preparePayment(address, requests.preparePayment,
+        localInstructions).then(result => {
+      assert.strictEqual(result.instructions.fee, '20');
+    });
+  });
+
+  it('preparePayment - signersCount', function() {
+    const localInstructions = _.defaults({sequence: 23, signersCount: 2},
+      instructions);
+    return this.api.preparePayment(address, requests.preparePayment,
+        localInstructions).then(result => {
+      assert.strictEqual(result.instructions.fee, '36');
+    });
+  });
+
+  it('preparePayment - fee and feeStrategy', function() {
+    const localInstructions = _.defaults({fee: '0.000012',
+      feeStrategy: 'urgent'}, instructions);
+    return this.api.preparePayment(address, requests.preparePayment,
+        localInstructions).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
   it('prepareOrder - buy order', function() {
     return this.api.prepareOrder(address, requests.prepareOrder, instructions)
       .then(_.partial(checkResult, responses.prepareOrder, 'prepare'));
@@ -85,6 +140,104 @@ describe('RippleAPI', function() {
       _.partial(checkResult, responses.prepareOrderCancellation, 'prepare'));
   });
 
+  it('prepareEscrowCreate', function() {
+    return this.api.prepareEscrowCreate(
+      address, requests.prepareEscrowCreation, instructions).then(
+        _.partial(checkResult, responses.prepareEscrowCreation, 'prepare'));
+  });
+
+  it('prepareEscrowFinish', function() {
+    return this.api.prepareEscrowFinish(
+      address, requests.prepareEscrowExecution, instructions).then(
+        _.partial(checkResult, responses.prepareEscrowExecution, 'prepare'));
+  });
+
+  it('prepareEscrowCancel', function() {
+    return this.api.prepareEscrowCancel(
+      address, requests.prepareEscrowCancellation, instructions).then(
+        _.partial(checkResult, responses.prepareEscrowCancellation,
+          'prepare'));
+  });
+
+  it('prepareEscrowFinish - condition without fulfillment', function() {
+    const escrowExecution = _.omit(requests.prepareEscrowExecution,
+      'fulfillment');
+    return this.api.prepareEscrowFinish(address, escrowExecution,
+        instructions).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('preparePaymentChannelCreate', function() {
+    return this.api.preparePaymentChannelCreate(
+      address, requests.preparePaymentChannelCreate, instructions).then(
+        _.partial(checkResult, responses.preparePaymentChannelCreate,
+          'prepare'));
+  });
+
+  it('preparePaymentChannelFund', function() {
+    return this.api.preparePaymentChannelFund(
+      address, requests.preparePaymentChannelFund, instructions).then(
+        _.partial(checkResult, responses.preparePaymentChannelFund,
+          'prepare'));
+  });
+
+  it('preparePaymentChannelClaim', function() {
+    return this.api.preparePaymentChannelClaim(
+      address, requests.preparePaymentChannelClaim, instructions).then(
+        _.partial(checkResult, responses.preparePaymentChannelClaim,
+          'prepare'));
+  });
+
+  it('prepareSignerList', function() {
+    return this.api.prepareSignerList(
+      address, requests.prepareSignerList, instructions).then(
+        _.partial(checkResult, responses.prepareSignerList, 'prepare'));
+  });
+
+  it('prepareSignerList - threshold without weights', function() {
+    return this.api.prepareSignerList(
+      address, {threshold: 2}, instructions).then(() => {
+        assert(false, 'Should throw ValidationError');
+      }).catch(error => {
+        assert(error instanceof this.api.errors.ValidationError);
+      });
+  });
+
+  it('prepareTicketCreate', function() {
+    return this.api.prepareTicketCreate(address, 2, instructions).then(
+      _.partial(checkResult, responses.prepareTicketCreate, 'prepare'));
+  });
+
+  it('prepareTicketCancel', function() {
+    const ticketID =
+      '9F14B6A5BCF7F45B2CD3D9D5131D54B4145347D0F1722E32715192CDE7344339';
+    return this.api.prepareTicketCancel(address, ticketID, instructions).then(
+      _.partial(checkResult, responses.prepareTicketCancel, 'prepare'));
+  });
+
+  it('preparePayment - ticketSequence', function() {
+    const localInstructions = _.defaults({ticketSequence: 25}, instructions);
+    return this.api.preparePayment(
+      address, requests.preparePayment, localInstructions).then(
+      _.partial(checkResult, responses.preparePaymentTicket, 'prepare'));
+  });
+
+  it('preparePayment - sequence and ticketSequence', function() {
+    const localInstructions = _.defaults({
+      sequence: 23,
+      ticketSequence: 25
+    }, instructions);
+    return this.api.preparePayment(
+      address, requests.preparePayment, localInstructions).then(() => {
+        assert(false, 'Should throw ValidationError');
+      }).catch(error => {
+        assert(error instanceof this.api.errors.ValidationError);
+      });
+  });
+
   it('prepareTrustline - simple', function() {
     return this.api.prepareTrustline(
       address, requests.prepareTrustline.simple, instructions).then(
@@ -150,16 +303,452 @@ describe('RippleAPI', function() {
     schemaValidator.schemaValidate('sign', result);
   });
 
+  it('sign - signAs', function() {
+    const secret = 'ssXpu7PUFmCT1TAjFaCKQTziGTjWn';
+    const result = this.api.sign(requests.sign.txJSON, secret,
+      {signAs: 'rP82kEANgaN9deKkM6aVrrE4r6Rj49tzcA'});
+    checkResult(responses.signAs, 'sign', result);
+  });
+
+  it('sign - already multi-signed', function() {
+    const secret = 'ssXpu7PUFmCT1TAjFaCKQTziGTjWn';
+    const txJSON = JSON.stringify(_.assign(JSON.parse(requests.sign.txJSON),
+      {Signers: []}));
+    assert.throws(() => {
+      this.api.sign(txJSON, secret,
+        {signAs: 'rP82kEANgaN9deKkM6aVrrE4r6Rj49tzcA'});
+    }, this.api.errors.ValidationError);
+  });
+
+  it('combine', function() {
+    const result = this.api.combine(requests.combine);
+    checkResult(responses.combine, 'sign', result);
+  });
+
+  it('combine - different transactions', function() {
+    const signedTransaction = this.api.sign(requests.sign.txJSON.replace(
+      '"Sequence":23', '"Sequence":24'), 'snAbwDnS63NMfonC5ecEkmPt9yfyR',
+      {signAs: 'rD2dzNJcHwgrp22kSthwdFhfK25MFasbDQ'}).signedTransaction;
+    assert.throws(() => {
+      this.api.combine([requests.combine[0], signedTransaction]);
+    }, /txJSON is not the same for all signedTransactions/);
+  });
+
+  it('verifyTransaction', function() {
+    const result = this.api.verifyTransaction(
+      responses.sign.signedTransaction);
+    checkResult(responses.verifyTransaction.normal, 'verifyTransaction',
+      result);
+  });
+
+  it('verifyTransaction - multi-signed', function() {
+    const result = this.api.verifyTransaction(
+      responses.combine.signedTransaction);
+    checkResult(responses.verifyTransaction.multisigned, 'verifyTransaction',
+      result);
+  });
+
+  it('verifyTransaction - ed25519', function() {
+    const result = this.api.verifyTransaction(
+      requests.verifyTransaction.ed25519);
+    checkResult(responses.verifyTransaction.ed25519, 'verifyTransaction',
+      result);
+  });
+
+  it('verifyTransaction - non-canonical signature', function() {
+    const result = this.api.verifyTransaction(
+      requests.verifyTransaction.nonCanonical);
+    checkResult(responses.verifyTransaction.nonCanonical, 'verifyTransaction',
+      result);
+    const tx = this.api.decode(responses.sign.signedTransaction);
+    tx.TxnSignature = '3006020100020100';
+    const zero = this.api.verifyTransaction(this.api.encode(tx));
+    assert.strictEqual(zero.signatures[0].isCanonical, false);
+    assert.strictEqual(zero.signatures[0].isValid, false);
+  });
+
+  it('verifyTransaction - invalid ed25519 signature length', function() {
+    const tx = this.api.decode(requests.verifyTransaction.ed25519);
+    tx.SigningPubKey = 'ED' + _.repeat('0', 64);
+    tx.TxnSignature = '3006020100020100';
+    const result = this.api.verifyTransaction(this.api.encode(tx));
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.signatures[0].isValid, false);
+  });
+
+  it('verifyTransaction - invalid signature', function() {
+    const tx = this.api.decode(responses.sign.signedTransaction);
+    tx.Sequence = 24;
+    const result = this.api.verifyTransaction(this.api.encode(tx));
+    assert.strictEqual(result.isValid, false);
+    assert.strictEqual(result.signatures[0].isValid, false);
+  });
+
+  it('verifyTransaction - invalid multi-signature', function() {
+    const tx = this.api.decode(responses.combine.signedTransaction);
+    tx.Signers[1].Signer.Account = tx.Signers[0].Signer.Account;
+    const result = this.api.verifyTransaction(this.api.encode(tx));
+    assert.strictEqual(result.isValid, false);
+    assert.deepEqual(_.map(result.signatures, 'isValid'), [true, false]);
+  });
+
+  it('verifyTransaction - not signed', function() {
+    const tx = JSON.parse(requests.sign.txJSON);
+    tx.SigningPubKey = '';
+    assert.throws(() => {
+      this.api.verifyTransaction(this.api.encode(tx));
+    }, this.api.errors.ValidationError);
+  });
+
+  it('encode and decode', function() {
+    const signedTransaction = responses.sign.signedTransaction;
+    const json = this.api.decode(signedTransaction);
+    assert.deepEqual(_.omit(json, ['SigningPubKey', 'TxnSignature']),
+      JSON.parse(requests.sign.txJSON));
+    assert.strictEqual(this.api.encode(json), signedTransaction);
+  });
+
+  it('encode and decode - memos', function() {
+    const json = _.assign(JSON.parse(requests.sign.txJSON), {
+      SigningPubKey: '',
+      Memos: [{Memo: {MemoType: '74657374', MemoFormat: '74657874',
+        MemoData: '7465787465642064617461'}}]
+    });
+    assert.deepEqual(this.api.decode(this.api.encode(json)), json);
+  });
+
+  it('encode and decode - metadata', function() {
+    const meta = fixtures.rippled.tx.Payment.result.meta;
+    assert.deepEqual(this.api.decode(this.api.encode(meta)), meta);
+  });
+
+  it('encode and decode - ledger entries', function() {
+    _.forEach(binaryLedgerData, entry => {
+      const json = this.api.decode(entry.binary.data);
+      assert.deepEqual(json, _.omit(entry.parsed, 'index'));
+      assert.strictEqual(this.api.encode(json), entry.binary.data);
+    });
+  });
+
+  it('encode - invalid', function() {
+    assert.throws(() => {
+      this.api.encode({Account: address});
+    }, this.api.errors.ValidationError);
+    assert.throws(() => {
+      this.api.encode(_.assign(JSON.parse(requests.sign.txJSON),
+        {Unknown: 1}));
+    }, this.api.errors.ValidationError);
+  });
+
+  it('decode - invalid', function() {
+    assert.throws(() => {
+      this.api.decode('120000XYZ');
+    }, this.api.errors.ValidationError);
+    assert.throws(() => {
+      this.api.decode('12000022');
+    }, this.api.errors.ValidationError);
+  });
+
+  it('encodeForSigning', function() {
+    const json = this.api.decode(responses.sign.signedTransaction);
+    const encoded = this.api.encodeForSigning(json);
+    assert.strictEqual(encoded, '53545800' +
+      this.api.encode(_.omit(json, 'TxnSignature')));
+  });
+
+  it('encodeForMultisigning', function() {
+    const signer = 'rP82kEANgaN9deKkM6aVrrE4r6Rj49tzcA';
+    const json = _.assign(JSON.parse(requests.sign.txJSON),
+      {SigningPubKey: ''});
+    const encoded = this.api.encodeForMultisigning(json, signer);
+    assert.strictEqual(encoded, '534D5400' + this.api.encode(json) +
+      common.core.UInt160.from_json(signer).to_hex());
+  });
+
+  it('encodeForMultisigning - SigningPubKey not empty', function() {
+    const json = this.api.decode(responses.sign.signedTransaction);
+    assert.throws(() => {
+      this.api.encodeForMultisigning(json,
+        'rP82kEANgaN9deKkM6aVrrE4r6Rj49tzcA');
+    }, this.api.errors.ValidationError);
+  });
+
+  it('signPaymentChannelClaim', function() {
+    const secret = 'shsWGZcmZz6YsWWmcnpfr6fLTdtFV';
+    const result = this.api.signPaymentChannelClaim(
+      hashes.PAYMENT_CHANNEL_ID, '1', secret);
+    checkResult(responses.signPaymentChannelClaim,
+      'signPaymentChannelClaim', result);
+  });
+
+  it('verifyPaymentChannelClaim', function() {
+    const publicKey =
+      '02F89EAEC7667B30F33D0687BBA86C3FE2A08CCA40A9186C5BDE2DAA6FA97A37D8';
+    assert.strictEqual(this.api.verifyPaymentChannelClaim(
+      hashes.PAYMENT_CHANNEL_ID, '1', responses.signPaymentChannelClaim,
+      publicKey), true);
+  });
+
+  it('verifyPaymentChannelClaim - wrong amount', function() {
+    const publicKey =
+      '02F89EAEC7667B30F33D0687BBA86C3FE2A08CCA40A9186C5BDE2DAA6FA97A37D8';
+    assert.strictEqual(this.api.verifyPaymentChannelClaim(
+      hashes.PAYMENT_CHANNEL_ID, '2', responses.signPaymentChannelClaim,
+      publicKey), false);
+  });
+
   it('submit', function() {
     return this.api.submit(responses.sign.signedTransaction).then(
       _.partial(checkResult, responses.submit, 'submit'));
   });
 
+  it('submitAndWait', function() {
+    this.mockRippled.validateSubmittedTransaction = true;
+    const promise = this.api.submitAndWait(responses.sign.signedTransaction);
+    this.api.remote.getServer().emit('message', _.assign({}, ledgerClosed,
+      {ledger_index: 8819952, validated_ledgers: '32570-8819952'}));
+    return promise.then(transaction => {
+      assert.strictEqual(transaction.id, responses.sign.id);
+      assert.strictEqual(transaction.outcome.result, 'tesSUCCESS');
+      schemaValidator.schemaValidate('getTransaction', transaction);
+    });
+  });
+
+  it('submitAndWait - expired', function() {
+    const promise = this.api.submitAndWait(responses.sign.signedTransaction);
+    // close every ledger up to the transaction's LastLedgerSequence
+    _.range(8819952, 8820052).forEach(ledgerVersion => {
+      this.api.remote.getServer().emit('message', _.assign({}, ledgerClosed, {
+        ledger_index: ledgerVersion,
+        validated_ledgers: '32570-' + ledgerVersion
+      }));
+    });
+    return promise.then(() => {
+      assert(false, 'Should throw TransactionExpiredError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.TransactionExpiredError);
+    });
+  });
+
+  it('submitAndWait - validated while looking it up', function() {
+    let lookups = 0;
+    this.mockRippled.prependListener('request_tx', () => {
+      if (++lookups === 1) {
+        // the last ledger closes after the first lookup was sent, so that
+        // lookup not finding the transaction does not mean it has expired
+        this.api.remote.getServer().emit('message', _.assign({},
+          ledgerClosed, {ledger_index: 8820051,
+            validated_ledgers: '32570-8820051'}));
+      } else {
+        this.mockRippled.validateSubmittedTransaction = true;
+      }
+    });
+    const promise = this.api.submitAndWait(responses.sign.signedTransaction);
+    this.api.remote.getServer().emit('message', _.assign({}, ledgerClosed,
+      {ledger_index: 8819952, validated_ledgers: '32570-8819952'}));
+    return promise.then(transaction => {
+      assert.strictEqual(transaction.id, responses.sign.id);
+      assert.strictEqual(lookups, 2);
+    });
+  });
+
+  it('submitAndWait - cancellationToken', function() {
+    const token = new CancellationToken();
+    const server = this.api.remote.getServer();
+    const listenerCount = this.api.remote.listeners('ledger_closed').length;
+    const promise = this.api.submitAndWait(responses.sign.signedTransaction,
+      {cancellationToken: token});
+    // no ledger closes, so only the token ends the wait
+    setTimeout(() => token.cancel(), 20);
+    return promise.then(() => {
+      assert(false, 'Should throw CancelledError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.CancelledError);
+      assert.strictEqual(this.api.remote.listeners('ledger_closed').length,
+        listenerCount);
+      assert.strictEqual(_.size(server._requests), 0);
+    });
+  });
+
+  it('submitAndWait - timeout', function() {
+    return this.api.submitAndWait(responses.sign.signedTransaction,
+      {timeout: 20}).then(() => {
+        assert(false, 'Should throw TimeOutError');
+      }).catch(error => {
+        assert(error instanceof this.api.errors.TimeOutError);
+      });
+  });
+
+  it('submitAndWait - invalid cancellationToken', function() {
+    return this.api.submitAndWait(responses.sign.signedTransaction,
+      {cancellationToken: {}}).then(() => {
+        assert(false, 'Should throw ValidationError');
+      }).catch(error => {
+        assert(error instanceof this.api.errors.ValidationError);
+      });
+  });
+
+  it('submitAndWait - missing ledger history', function() {
+    const promise = this.api.submitAndWait(responses.sign.signedTransaction);
+    // make gaps in history
+    this.api.remote.getServer().emit('message', ledgerClosed);
+    return promise.then(() => {
+      assert(false, 'Should throw MissingLedgerHistoryError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.MissingLedgerHistoryError);
+    });
+  });
+
   it('getBalances', function() {
     return this.api.getBalances(address).then(
       _.partial(checkResult, responses.getBalances, 'getBalances'));
   });
 
+  it('timeout', function() {
+    const api = new RippleAPI({
+      servers: [this.api.remote.getServer()._url],
+      timeout: 10
+    });
+    this.mockRippled.removeAllListeners('request_server_info');
+    this.mockRippled.on('request_server_info', _.noop);
+    return api.connect().then(() => api.getServerInfo()).then(() => {
+      assert(false, 'Should throw TimeOutError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.TimeOutError);
+      assert.strictEqual(error.message, 'Request timed out after 10ms');
+    }).then(() => api.disconnect());
+  });
+
+  it('timeout - per call', function() {
+    this.mockRippled.removeAllListeners('request_account_lines');
+    this.mockRippled.on('request_account_lines', _.noop);
+    return this.api.getTrustlines(address, {timeout: 10}).then(() => {
+      assert(false, 'Should throw TimeOutError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.TimeOutError);
+    });
+  });
+
+  it('timeout - releases pending requests', function() {
+    const server = this.api.remote.getServer();
+    this.mockRippled.removeAllListeners('request_account_lines');
+    this.mockRippled.on('request_account_lines', _.noop);
+    this.mockRippled.removeAllListeners('request_server_info');
+    this.mockRippled.on('request_server_info', _.noop);
+    return this.api.getTrustlines(address, {timeout: 10}).then(() => {
+      assert(false, 'Should throw TimeOutError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.TimeOutError);
+      assert.strictEqual(_.size(server._requests), 0);
+      return this.api.getServerInfo({timeout: 10});
+    }).then(() => {
+      assert(false, 'Should throw TimeOutError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.TimeOutError);
+      assert.strictEqual(_.size(server._requests), 0);
+    });
+  });
+
+  it('timeout - per call in instructions', function() {
+    const server = this.api.remote.getServer();
+    this.mockRippled.removeAllListeners('request_account_info');
+    this.mockRippled.on('request_account_info', _.noop);
+    const localInstructions = _.assign({timeout: 10}, instructions);
+    return this.api.preparePayment(address, requests.preparePayment,
+      localInstructions).then(() => {
+        assert(false, 'Should throw TimeOutError');
+      }).catch(error => {
+        assert(error instanceof this.api.errors.TimeOutError);
+        assert.strictEqual(_.size(server._requests), 0);
+      });
+  });
+
+  it('cancellationToken - getServerInfo', function() {
+    const token = new CancellationToken();
+    this.mockRippled.removeAllListeners('request_server_info');
+    this.mockRippled.on('request_server_info', () => token.cancel());
+    return this.api.getServerInfo({cancellationToken: token}).then(() => {
+      assert(false, 'Should throw CancelledError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.CancelledError);
+    });
+  });
+
+  it('timeout - invalid call options', function() {
+    return this.api.submit(responses.sign.signedTransaction,
+      {timeout: 0}).then(() => {
+        assert(false, 'Should throw ValidationError');
+      }).catch(error => {
+        assert(error instanceof this.api.errors.ValidationError);
+        return this.api.getServerInfo({cancellationToken: {}});
+      }).then(() => {
+        assert(false, 'Should throw ValidationError');
+      }).catch(error => {
+        assert(error instanceof this.api.errors.ValidationError);
+      });
+  });
+
+  it('timeout - invalid', function() {
+    return this.api.getTrustlines(address, {timeout: 0}).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('cancellationToken - stops paging in getTransactions', function() {
+    const token = new CancellationToken();
+    let requestCount = 0;
+    this.mockRippled.on('request_account_tx', () => {
+      requestCount += 1;
+      token.cancel();
+    });
+    const options = {limit: 100, cancellationToken: token};
+    return this.api.getTransactions(address, options).then(() => {
+      assert(false, 'Should throw CancelledError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.CancelledError);
+      return new Promise(resolve => setTimeout(resolve, 50));
+    }).then(() => {
+      assert.strictEqual(requestCount, 1);
+    });
+  });
+
+  it('cancellationToken - getBalances', function() {
+    const token = new CancellationToken();
+    const cancelError = new Error('stop');
+    this.mockRippled.removeAllListeners('request_account_lines');
+    this.mockRippled.on('request_account_lines',
+      () => token.cancel(cancelError));
+    const options = {cancellationToken: token};
+    return this.api.getBalances(address, options).then(() => {
+      assert(false, 'Should throw Error');
+    }).catch(error => {
+      assert.strictEqual(error, cancelError);
+    });
+  });
+
+  it('cancellationToken - already cancelled', function() {
+    const token = new CancellationToken();
+    token.cancel();
+    this.mockRippled.on('request_ledger', () => {
+      assert(false, 'Should not send a request');
+    });
+    return this.api.getLedger({cancellationToken: token}).then(() => {
+      assert(false, 'Should throw CancelledError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.CancelledError);
+    });
+  });
+
+  it('cancellationToken - invalid', function() {
+    return this.api.getLedger({cancellationToken: {}}).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
   it('getTransaction - payment', function() {
     return this.api.getTransaction(hashes.VALID_TRANSACTION_HASH).then(
       _.partial(checkResult, responses.getTransaction.payment,
@@ -174,6 +763,42 @@ describe('RippleAPI', function() {
         'getTransaction'));
   });
 
+  it('getTransaction - partial payment', function() {
+    const hash =
+      'F4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9B0';
+    return this.api.getTransaction(hash).then(transaction => {
+      schemaValidator.schemaValidate('getTransaction', transaction);
+      assert.deepEqual(transaction.outcome.deliveredAmount, {
+        currency: 'USD',
+        value: '0.001',
+        counterparty: 'rMH4UxPrbuMa1spCBR98hLLyNJp4d8p4tM'
+      });
+    });
+  });
+
+  it('getTransaction - partial payment with DeliveredAmount', function() {
+    const hash =
+      'F4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9B1';
+    return this.api.getTransaction(hash).then(transaction => {
+      schemaValidator.schemaValidate('getTransaction', transaction);
+      assert.deepEqual(transaction.outcome.deliveredAmount, {
+        currency: 'USD',
+        value: '0.001',
+        counterparty: 'rMH4UxPrbuMa1spCBR98hLLyNJp4d8p4tM'
+      });
+    });
+  });
+
+  it('getTransaction - partial payment, delivered amount unavailable',
+  function() {
+    const hash =
+      'F4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9B2';
+    return this.api.getTransaction(hash).then(transaction => {
+      schemaValidator.schemaValidate('getTransaction', transaction);
+      assert.strictEqual(transaction.outcome.deliveredAmount, 'unavailable');
+    });
+  });
+
   it('getTransaction - order', function() {
     const hash =
       '10A6FB4A66EE80BED46AAE4815D7DC43B97E944984CCD5B93BCF3F8538CABC51';
@@ -190,6 +815,94 @@ describe('RippleAPI', function() {
         'getTransaction'));
   });
 
+  it('getTransaction - escrow creation', function() {
+    const hash =
+      '6D8A0ABFA570B1BAE6BBB3A97C2730DD1CEC79B509873259CF546541C34FB1AB';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.escrowCreation,
+        'getTransaction'));
+  });
+
+  it('getTransaction - escrow execution', function() {
+    const hash =
+      'C7E25EC84A027D22B3EAC00F863671E8E10A2B2D0F9046395715812899C043BB';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.escrowExecution,
+        'getTransaction'));
+  });
+
+  it('getTransaction - escrow cancellation', function() {
+    const hash =
+      'E853EF658C3F128C533A8FFF739DBE9FF84E9189157037A1F5625B971C998686';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.escrowCancellation,
+        'getTransaction'));
+  });
+
+  it('getTransaction - payment channel create', function() {
+    const hash =
+      '21FB3135A10D71CB2BF3BCB6C1647270C54F2152B5F1A2FDAFE1C6F58B06744B';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.paymentChannelCreate,
+        'getTransaction'));
+  });
+
+  it('getTransaction - payment channel fund', function() {
+    const hash =
+      '55F742E98A5EA22BAF904B36543954FD36330539595E659B26D597B5F0C42582';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.paymentChannelFund,
+        'getTransaction'));
+  });
+
+  it('getTransaction - payment channel claim', function() {
+    const hash =
+      '718BE9595DBE40BF53A26A1D54D5E696B61BAAB2137D12E10AF058188CE8BEB2';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.paymentChannelClaim,
+        'getTransaction'));
+  });
+
+  it('getTransaction - signer list', function() {
+    const hash =
+      '98E1D4623E7572A06305DC0DFF564FE0BBB3599E71F0391DC6207E5EC4C1CC7B';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.signerList,
+        'getTransaction'));
+  });
+
+  it('getTransaction - ticket create', function() {
+    const hash =
+      'C75F9053261FAD11650080B04C2D16570BAC673612BED218E60E099C238C5CC2';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.ticketCreate,
+        'getTransaction'));
+  });
+
+  it('getTransaction - amendment', function() {
+    const hash =
+      '736054A129F4A670F449B620AFB851C08B2EA2CECCFAE7CF5FED5229D9119A68';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.amendment,
+        'getTransaction'));
+  });
+
+  it('getTransaction - fee update', function() {
+    const hash =
+      '0CDF708BFFC4AE5DBA613D6C27A47C48FF9C01FEFDE5FF77D0DB045A23E39A0B';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.feeUpdate,
+        'getTransaction'));
+  });
+
+  it('getTransaction - unknown type', function() {
+    const hash =
+      '6C1C8A4C4A2E8B2D2F9A8C0D9B1E6F3A5D7C9E1B3A5C7E9F1D3B5A7C9E1F3D5B';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.unknown,
+        'getTransaction'));
+  });
+
   it('getTransaction - trustline set', function() {
     const hash =
       '635A0769BD94710A1F6A76CDE65A3BC661B20B798807D1BBBDADCEA26420538D';
@@ -432,14 +1145,55 @@ describe('RippleAPI', function() {
       _.partial(checkResult, responses.getAccountInfo, 'getAccountInfo'));
   });
 
-  it('getOrders', function() {
-    return this.api.getOrders(address).then(
-      _.partial(checkResult, responses.getOrders, 'getOrders'));
+  it('getTickets', function() {
+    return this.api.getTickets(address).then(
+      _.partial(checkResult, responses.getTickets, 'getTickets'));
   });
 
-  it('getOrderbook', function() {
-    return this.api.getOrderbook(address, orderbook).then(
-      _.partial(checkResult, responses.getOrderbook, 'getOrderbook'));
+  it('getAccountObjects', function() {
+    return this.api.getAccountObjects(address).then(
+      _.partial(checkResult, responses.getAccountObjects.all,
+        'getAccountObjects'));
+  });
+
+  it('getAccountObjects - type', function() {
+    return this.api.getAccountObjects(address, {type: 'ticket'}).then(
+      _.partial(checkResult, responses.getAccountObjects.tickets,
+        'getAccountObjects'));
+  });
+
+  it('getAccountObjects - invalid type', function() {
+    return this.api.getAccountObjects(address, {type: 'state'}).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('getPaymentChannel', function() {
+    return this.api.getPaymentChannel(hashes.PAYMENT_CHANNEL_ID).then(
+      _.partial(checkResult, responses.getPaymentChannel,
+        'getPaymentChannel'));
+  });
+
+  it('getPaymentChannel - not found', function() {
+    const channel =
+      'E30E709CF009A1F26E0E5C48F7AA1BFB79393764F15FB108BDC6E06D3CBD8415';
+    return this.api.getPaymentChannel(channel).then(() => {
+      assert(false, 'Should throw NotFoundError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.NotFoundError);
+    });
+  });
+
+  it('getOrders', function() {
+    return this.api.getOrders(address).then(
+      _.partial(checkResult, responses.getOrders, 'getOrders'));
+  });
+
+  it('getOrderbook', function() {
+    return this.api.getOrderbook(address, orderbook).then(
+      _.partial(checkResult, responses.getOrderbook.normal, 'getOrderbook'));
   });
 
   it('getOrderbook - sorted so that best deals come first', function() {
@@ -476,6 +1230,106 @@ describe('RippleAPI', function() {
     });
   });
 
+  it('getOrderbook - autobridge', function() {
+    return this.api.getOrderbook(address, orderbook, {autobridge: true}).then(
+      _.partial(checkResult, responses.getOrderbook.autobridge,
+        'getOrderbook'));
+  });
+
+  it('getOrderbook - autobridge merges bridged orders by rate', function() {
+    return this.api.getOrderbook(address, orderbook, {autobridge: true})
+    .then(data => {
+      const orders = _.flatten([data.bids, data.asks]);
+      assert(_.some(orders, order =>
+        order.properties.source === 'autobridged'));
+      assert(_.every(data.bids, bid => bid.specification.direction === 'buy'));
+      assert(_.every(data.asks, ask => ask.specification.direction === 'sell'));
+      const bidRates = data.bids.map(bid => bid.properties.makerExchangeRate);
+      const askRates = data.asks.map(ask => ask.properties.makerExchangeRate);
+      assert.deepEqual(_.sortBy(bidRates, x => Number(x)), bidRates);
+      assert.deepEqual(_.sortBy(askRates, x => Number(x)), askRates);
+    });
+  });
+
+  it('getOrderbookDepth', function() {
+    return this.api.getOrderbookDepth(orderbook).then(
+      _.partial(checkResult, responses.getOrderbookDepth.normal,
+        'getOrderbookDepth'));
+  });
+
+  it('getOrderbookDepth - tickSize and levels', function() {
+    const options = {tickSize: '0.0001', levels: 3};
+    return this.api.getOrderbookDepth(orderbook, options).then(
+      _.partial(checkResult, responses.getOrderbookDepth.tickSize,
+        'getOrderbookDepth'));
+  });
+
+  it('getOrderbookDepth - cumulative funded amounts', function() {
+    return this.api.getOrderbookDepth(orderbook).then(data => {
+      _.forEach([data.bids, data.asks], levels => {
+        let quantity = new BigNumber(0);
+        let totalPrice = new BigNumber(0);
+        _.forEach(levels, level => {
+          // unfunded orders are omitted
+          assert(new BigNumber(level.quantity).greaterThan(0));
+          quantity = quantity.plus(level.quantity);
+          totalPrice = totalPrice.plus(level.totalPrice);
+          assert.strictEqual(level.cumulativeQuantity, quantity.toString());
+          assert.strictEqual(level.cumulativeTotalPrice,
+            totalPrice.toString());
+        });
+      });
+      // only 268.2219496064341 of this bid's 268.754 is funded
+      assert.strictEqual(data.bids[3].quantity, '268.2219496064341');
+    });
+  });
+
+  it('getOrderbookDepth - invalid tickSize', function() {
+    return this.api.getOrderbookDepth(orderbook, {tickSize: '0'}).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('getOrderQuote - buy', function() {
+    const options = {direction: 'buy', quantity: '5000'};
+    return this.api.getOrderQuote(orderbook, options).then(
+      _.partial(checkResult, responses.getOrderQuote.buy, 'getOrderQuote'));
+  });
+
+  it('getOrderQuote - sell', function() {
+    const options = {direction: 'sell', quantity: '100'};
+    return this.api.getOrderQuote(orderbook, options).then(
+      _.partial(checkResult, responses.getOrderQuote.sell, 'getOrderQuote'));
+  });
+
+  it('getOrderQuote - autobridge', function() {
+    // the direct bids alone only add up to about 1341 USD
+    const options = {direction: 'sell', quantity: '2000', autobridge: true};
+    return this.api.getOrderQuote(orderbook, options).then(
+      _.partial(checkResult, responses.getOrderQuote.autobridge,
+        'getOrderQuote'));
+  });
+
+  it('getOrderQuote - not enough liquidity', function() {
+    const options = {direction: 'sell', quantity: '1000000'};
+    return this.api.getOrderQuote(orderbook, options).then(data => {
+      schemaValidator.schemaValidate('getOrderQuote', data);
+      assert(new BigNumber(data.quantity.value).lessThan(options.quantity));
+      assert(new BigNumber(data.worstPrice).lessThan(data.averagePrice));
+    });
+  });
+
+  it('getOrderQuote - invalid direction', function() {
+    const options = {direction: 'short', quantity: '100'};
+    return this.api.getOrderQuote(orderbook, options).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
   it('getServerInfo', function() {
     return this.api.getServerInfo().then(
       _.partial(checkResult, responses.getServerInfo, 'getServerInfo'));
@@ -495,6 +1349,81 @@ describe('RippleAPI', function() {
     assert.strictEqual(this.api.getFee(), '0.000012');
   });
 
+  it('getFeeEstimate', function() {
+    checkResult({
+      baseFee: '0.00001',
+      loadFactor: 1,
+      currentFee: '0.00001',
+      recommendedFee: '0.000012',
+      urgentFee: '0.000024'
+    }, 'getFeeEstimate', this.api.getFeeEstimate());
+  });
+
+  it('getFeeEstimate - loaded server', function() {
+    this.api.remote.getServer().emit('message', {
+      type: 'serverStatus',
+      load_base: 256,
+      load_factor: 256 * 3,
+      server_status: 'full'
+    });
+    checkResult({
+      baseFee: '0.00001',
+      loadFactor: 3,
+      currentFee: '0.00003',
+      recommendedFee: '0.000036',
+      urgentFee: '0.000072'
+    }, 'getFeeEstimate', this.api.getFeeEstimate());
+  });
+
+  it('getConnectedServers', function() {
+    const servers = this.api.getConnectedServers();
+    schemaValidator.schemaValidate('getConnectedServers', servers);
+    assert.strictEqual(servers.length, 1);
+    assert.strictEqual(servers[0].url, this.api.remote.getServer()._url);
+    assert.deepEqual(_.omit(servers[0], ['url', 'latencyMs']), {
+      isHealthy: true,
+      score: 0,
+      lastLedgerVersion: 8819951,
+      ledgerLag: 0,
+      loadFactor: 1,
+      completeLedgers: '32570-8819951'
+    });
+  });
+
+  it('connect through a proxy with authorization', function() {
+    let proxyAuthorization;
+    let authorization;
+    const proxy = http.createServer();
+    proxy.on('connect', (request, socket, head) => {
+      proxyAuthorization = request.headers['proxy-authorization'];
+      const target = request.url.split(':');
+      const upstream = net.connect(Number(target[1]), target[0], () => {
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        upstream.write(head);
+        upstream.pipe(socket);
+        socket.pipe(upstream);
+      });
+    });
+    this.mockRippled.once('connection', conn => {
+      authorization = conn.upgradeReq.headers.authorization;
+    });
+
+    return new Promise(resolve => proxy.listen(0, resolve)).then(() => {
+      const api = new RippleAPI({
+        servers: [this.api.remote.getServer()._url],
+        proxy: 'http://localhost:' + proxy.address().port,
+        proxyAuthorization: 'proxyuser:proxypass',
+        authorization: 'user:pass'
+      });
+      return api.connect().then(() => {
+        assert.strictEqual(proxyAuthorization,
+          'Basic cHJveHl1c2VyOnByb3h5cGFzcw==');
+        assert.strictEqual(authorization, 'Basic dXNlcjpwYXNz');
+        return api.disconnect();
+      });
+    }).then(() => proxy.close());
+  });
+
   it('disconnect & isConnected', function() {
     assert.strictEqual(this.api.isConnected(), true);
     return this.api.disconnect().then(() => {
@@ -502,6 +1431,141 @@ describe('RippleAPI', function() {
     });
   });
 
+  it('ledger event', function(done) {
+    this.api.on('ledger', message => {
+      checkResult(responses.ledgerClosed, 'ledgerClosed', message);
+      done();
+    });
+    this.api.remote.getServer().emit('message', ledgerClosed);
+  });
+
+  it('subscribeAccounts', function(done) {
+    const message = _.cloneDeep(fixtures.rippled.transactionStream);
+    this.api.on('transaction', transaction => {
+      checkResult(responses.getTransaction.trustline, 'getTransaction',
+        transaction);
+      done();
+    });
+    this.api.subscribeAccounts([addresses.FIFTH_ACCOUNT]).then(() => {
+      this.api.remote.getServer().emit('message', message);
+    }).catch(done);
+  });
+
+  it('subscribeAccounts - unparseable transaction', function(done) {
+    const message = _.cloneDeep(fixtures.rippled.transactionStream);
+    delete message.transaction.LimitAmount;
+    this.api.on('transaction', () => {
+      assert(false, 'Should not emit an unparseable transaction');
+    });
+    this.api.subscribeAccounts([addresses.FIFTH_ACCOUNT]).then(() => {
+      assert.strictEqual(this.api.listeners('error').length, 0);
+      this.api.remote.getServer().emit('message', message);
+      this.api.once('error', error => {
+        assert(error instanceof this.api.errors.ApiError);
+        done();
+      });
+      // the same transaction is only delivered once
+      const other = _.cloneDeep(message);
+      other.transaction.hash = hashes.VALID_TRANSACTION_HASH;
+      this.api.remote.getServer().emit('message', other);
+    }).catch(done);
+  });
+
+  it('subscribeOrderbook', function(done) {
+    const message = _.cloneDeep(fixtures.rippled.orderbookTransactionStream);
+    let isSent = false;
+    let added = undefined;
+    this.api.subscribeOrderbook(orderbook, event => {
+      if (event.type === 'orderbook' && !isSent) {
+        schemaValidator.schemaValidate('getOrderbook', _.omit(event, 'type'));
+        assert(!_.some(event.asks, ask => ask.properties.sequence === 77));
+        isSent = true;
+        whenBooksSubscribed(this.api, () => {
+          this.api.remote.getServer().emit('message', message);
+        });
+      } else if (event.type === 'added') {
+        assert.strictEqual(event.side, 'ask');
+        assert.strictEqual(event.order.properties.sequence, 77);
+        added = event.order;
+      } else if (event.type === 'orderbook' && added !== undefined) {
+        assert(_.some(event.asks, ask => _.isEqual(ask, added)));
+        done();
+      }
+    }).catch(done);
+  });
+
+  it('subscribeOrderbook - resync after reconnect', function(done) {
+    let snapshots = 0;
+    this.api.subscribeOrderbook(orderbook, event => {
+      if (event.type === 'orderbook' && ++snapshots === 1) {
+        whenBooksSubscribed(this.api, () => {
+          this.api.disconnect().then(() => this.api.connect()).catch(done);
+        });
+      } else if (event.type === 'orderbook') {
+        assert(event.bids.length > 0 && event.asks.length > 0);
+        whenBooksSubscribed(this.api, done);
+      }
+    }).catch(done);
+  });
+
+  it('subscribeOrderbook - subscribe error', function() {
+    const ledgerNotFound = require('./fixtures/api/rippled/ledger-not-found');
+    this.mockRippled.removeAllListeners('request_book_offers');
+    this.mockRippled.on('request_book_offers', (request, conn) => {
+      conn.send(JSON.stringify(_.assign({}, ledgerNotFound, {id: request.id})));
+    });
+    return this.api.subscribeOrderbook(orderbook, _.noop).then(() => {
+      assert(false, 'Should throw RippleError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.RippleError);
+      assert.deepEqual(this.api._orderbookSubscriptions, []);
+    });
+  });
+
+  it('subscribeOrderbook - invalid handler', function() {
+    return this.api.subscribeOrderbook(orderbook, 'handler').then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('unsubscribeOrderbook', function(done) {
+    const message = _.cloneDeep(fixtures.rippled.orderbookTransactionStream);
+    let isUnsubscribed = false;
+    const handler = () => {
+      assert(!isUnsubscribed, 'Should not call handler after unsubscribing');
+      isUnsubscribed = true;
+      whenBooksSubscribed(this.api, () => {
+        this.api.unsubscribeOrderbook(orderbook, handler).then(() => {
+          this.api.remote.getServer().emit('message', message);
+          done();
+        }).catch(done);
+      });
+    };
+    this.api.subscribeOrderbook(orderbook, handler).catch(done);
+  });
+
+  it('subscribeAccounts - invalid address', function() {
+    return this.api.subscribeAccounts(['rinvalid']).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('unsubscribeAccounts', function() {
+    const message = _.cloneDeep(fixtures.rippled.transactionStream);
+    this.api.on('transaction', () => {
+      assert(false, 'Should not emit transaction after unsubscribing');
+    });
+    return this.api.subscribeAccounts([addresses.FIFTH_ACCOUNT]).then(() =>
+      this.api.unsubscribeAccounts([addresses.FIFTH_ACCOUNT])
+    ).then(() => {
+      this.api.remote.getServer().emit('message', message);
+    });
+  });
+
   it('getPaths', function() {
     return this.api.getPaths(requests.getPaths.normal).then(
       _.partial(checkResult, responses.getPaths.XrpToUsd, 'getPaths'));
@@ -554,6 +1618,51 @@ describe('RippleAPI', function() {
     });
   });
 
+  it('getPaths - send all', function() {
+    return this.api.getPaths(requests.getPaths.SendAll).then(
+      _.partial(checkResult, responses.getPaths.sendAll, 'getPaths'));
+  });
+
+  it('getPaths - source amount and destination value', function() {
+    const pathfind = _.cloneDeep(requests.getPaths.SendAll);
+    pathfind.destination.amount.value = '5';
+    return this.api.getPaths(pathfind).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('getPaths - slippage without source amount', function() {
+    const pathfind = _.assign({}, requests.getPaths.normal,
+      {slippage: '0.01'});
+    return this.api.getPaths(pathfind).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
+  it('preparePayment - from send all paths', function() {
+    const localInstructions = _.defaults({sequence: 23}, instructions);
+    return this.api.getPaths(requests.getPaths.SendAll).then(paths => {
+      return this.api.preparePayment(paths[0].source.address, paths[0],
+        localInstructions);
+    }).then(_.partial(checkResult, responses.preparePaymentDeliverMin,
+      'prepare'));
+  });
+
+  it('preparePayment - minAmount without allowPartialPayment', function() {
+    const payment = _.cloneDeep(requests.preparePayment);
+    payment.destination.minAmount = _.assign({},
+      payment.destination.amount, {value: '0.005'});
+    return this.api.preparePayment(address, payment, instructions).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ValidationError);
+    });
+  });
+
   it('getPaths - error: srcActNotFound', function() {
     const pathfind = _.assign({}, requests.getPaths.normal,
       {source: {address: addresses.NOTFOUND}});
@@ -562,6 +1671,103 @@ describe('RippleAPI', function() {
     });
   });
 
+  it('watchPaths', function(done) {
+    const pathfind = requests.getPaths.normal;
+    // rippled sends path_find messages whenever the alternatives change
+    const message = _.assign(JSON.parse(
+      fixtures.rippled.path_find.generate.generateIOUPaymentPaths(0,
+        pathfind.source.address, pathfind.destination.address, {
+          currency: 'USD',
+          issuer: pathfind.destination.amount.counterparty,
+          value: '100'
+        })).result, {type: 'path_find'});
+    message.alternatives = message.alternatives.slice(0, 1);
+    let updates = 0;
+    const watcher = this.api.watchPaths(pathfind, paths => {
+      if (++updates === 1) {
+        checkResult(responses.getPaths.XrpToUsd, 'getPaths', paths);
+        this.api.remote.getServer().emit('message', message);
+      } else {
+        checkResult(responses.getPaths.XrpToUsd.slice(0, 1), 'getPaths',
+          paths);
+        watcher.close();
+      }
+    });
+    watcher.on('error', done);
+    watcher.on('close', done);
+  });
+
+  it('watchPaths - setDestinationAmount', function(done) {
+    const pathfind = requests.getPaths.normal;
+    const amount = _.assign({}, pathfind.destination.amount, {value: '200'});
+    let updates = 0;
+    const watcher = this.api.watchPaths(pathfind, paths => {
+      if (++updates === 1) {
+        watcher.setDestinationAmount(amount);
+      } else {
+        assert(_.every(paths, path =>
+          _.isEqual(path.destination.amount, amount)));
+        watcher.close();
+      }
+    });
+    watcher.on('error', done);
+    watcher.on('close', done);
+  });
+
+  it('watchPaths - closed when disconnected', function(done) {
+    const watcher = this.api.watchPaths(requests.getPaths.normal, () => {
+      this.api.disconnect().catch(done);
+    });
+    watcher.on('error', done);
+    watcher.on('close', () => {
+      assert.strictEqual(this.api.remote._cur_path_find, null);
+      done();
+    });
+  });
+
+  it('watchPaths - getPaths fails while watching', function() {
+    const watcher = this.api.watchPaths(requests.getPaths.normal, _.noop);
+    return this.api.getPaths(requests.getPaths.normal).then(() => {
+      assert(false, 'Should throw ApiError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.ApiError);
+      watcher.close();
+      return this.api.getPaths(requests.getPaths.normal);
+    }).then(_.partial(checkResult, responses.getPaths.XrpToUsd, 'getPaths'));
+  });
+
+  it('watchPaths - error: srcActNotFound', function(done) {
+    const pathfind = _.assign({}, requests.getPaths.normal,
+      {source: {address: addresses.NOTFOUND}});
+    const watcher = this.api.watchPaths(pathfind, _.noop);
+    watcher.on('error', error => {
+      assert(error instanceof this.api.errors.RippleError);
+      watcher.close();
+      done();
+    });
+  });
+
+  it('watchPaths - error without an error listener', function() {
+    const pathfind = _.assign({}, requests.getPaths.normal,
+      {source: {address: addresses.NOTFOUND}});
+    let requested = false;
+    this.mockRippled.on('request_path_find', () => {
+      requested = true;
+    });
+    const watcher = this.api.watchPaths(pathfind, _.noop);
+    assert.strictEqual(watcher.listeners('error').length, 0);
+    return new Promise(resolve => setTimeout(resolve, 50)).then(() => {
+      assert(requested);
+      watcher.close();
+    });
+  });
+
+  it('watchPaths - invalid onUpdate', function() {
+    assert.throws(() => {
+      this.api.watchPaths(requests.getPaths.normal, 'onUpdate');
+    }, this.api.errors.ValidationError);
+  });
+
   it('getLedgerVersion', function() {
     assert.strictEqual(this.api.getLedgerVersion(), 8819951);
   });
@@ -620,12 +1826,27 @@ describe('RippleAPI', function() {
         callback(new Error(), null);
       }
     }
-    utils.getRecursive(getter, 10, (error) => {
+    utils.getRecursive(getter, 10, undefined, (error) => {
       assert(error instanceof Error);
       done();
     });
   });
 
+  it('ledger utils - getRecursive - cancelled', function(done) {
+    const token = new CancellationToken();
+    const markers = [];
+    function getter(marker, limit, callback) {
+      markers.push(marker);
+      token.cancel();
+      callback(null, {marker: 'A', limit: limit, results: [1]});
+    }
+    utils.getRecursive(getter, 10, token, (error) => {
+      assert(error instanceof this.api.errors.CancelledError);
+      assert.deepEqual(markers, [undefined]);
+      done();
+    });
+  });
+
   describe('schema-validator', function() {
     beforeEach(function() {
       schemaValidator.SCHEMAS.ledgerhash = ledgerHashSchema;
@@ -759,6 +1980,283 @@ describe('RippleAPI', function() {
 
 });
 
+describe('RippleAPI - multiple servers', function() {
+  beforeEach(setupAPI.setupMultipleServers);
+  afterEach(setupAPI.teardown);
+
+  // the other server has closed ledgers that this server has not
+  function closeLedgers(server, count) {
+    const ledgerVersion = server._remote.getLedgerSequence() + count;
+    server.emit('message',
+      _.assign({}, ledgerClosed, {ledger_index: ledgerVersion}));
+  }
+
+  function getFailoverRequests(server) {
+    return _.filter(server._requests, '_failover');
+  }
+
+  it('getConnectedServers', function() {
+    const servers = this.api.getConnectedServers();
+    schemaValidator.schemaValidate('getConnectedServers', servers);
+    assert.deepEqual(_.map(servers, 'url'),
+      _.map(this.api.remote._servers, '_url'));
+    assert.deepEqual(_.map(servers, 'isHealthy'), [true, true]);
+    assert.strictEqual(this.api.remote.getServer(),
+      this.api.remote._servers[0]);
+  });
+
+  it('getConnectedServers - lagging server', function() {
+    const remote = this.api.remote;
+    closeLedgers(remote._servers[1], 3);
+    const servers = this.api.getConnectedServers();
+    assert.deepEqual(_.map(servers, 'isHealthy'), [false, true]);
+    assert.deepEqual(_.map(servers, 'ledgerLag'), [3, 0]);
+    assert.strictEqual(remote.getServer(), remote._servers[1]);
+  });
+
+  it('getConnectedServers - lag within maxLedgerLag', function() {
+    const remote = this.api.remote;
+    closeLedgers(remote._servers[1], 2);
+    const servers = this.api.getConnectedServers();
+    assert.deepEqual(_.map(servers, 'isHealthy'), [true, true]);
+    assert.strictEqual(remote.getServer(), remote._servers[0]);
+  });
+
+  it('fails over when the primary stops closing ledgers', function() {
+    const servers = this.api.remote._servers;
+    const promise = this.api.getServerInfo();
+    assert.strictEqual(getFailoverRequests(servers[0]).length, 1);
+    closeLedgers(servers[1], 3);
+    assert.strictEqual(getFailoverRequests(servers[0]).length, 0);
+    assert.strictEqual(getFailoverRequests(servers[1]).length, 1);
+    return promise.then(response => {
+      checkResult(responses.getServerInfo, 'getServerInfo', response);
+    });
+  });
+
+  it('getTransaction - server with complete history', function() {
+    const servers = this.api.remote._servers;
+    let primaryRequests = 0;
+    this.mockRippled.on('request_tx', () => {
+      primaryRequests += 1;
+    });
+    // the primary server is missing early history
+    servers[0]._ledgerRanges.reset();
+    servers[0]._ledgerRanges.addRange(8819000, 8819951);
+    return this.api.getTransaction(hashes.NOTFOUND_TRANSACTION_HASH).then(() => {
+      assert(false, 'Should throw NotFoundError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.NotFoundError);
+      assert.strictEqual(primaryRequests, 0);
+    });
+  });
+
+  it('getTransaction - no server with complete history', function() {
+    this.api.remote._servers.forEach(server => {
+      server._ledgerRanges.reset();
+      server._ledgerRanges.addRange(8819000, 8819951);
+    });
+    return this.api.getTransaction(hashes.NOTFOUND_TRANSACTION_HASH).then(() => {
+      assert(false, 'Should throw MissingLedgerHistoryError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.MissingLedgerHistoryError);
+    });
+  });
+
+  it('getTransactions - server with complete history', function() {
+    const servers = this.api.remote._servers;
+    servers[0]._ledgerRanges.reset();
+    servers[0]._ledgerRanges.addRange(8819000, 8819951);
+    const options = {types: ['payment', 'order'], initiated: true, limit: 2};
+    return this.api.getTransactions(address, options).then(transactions => {
+      assert.strictEqual(transactions.length, 2);
+    });
+  });
+
+  it('getLedger - retries on another server', function() {
+    const ledgerNotFound = require('./fixtures/api/rippled/ledger-not-found');
+    this.mockRippled.removeAllListeners('request_ledger');
+    this.mockRippled.on('request_ledger', (request, conn) => {
+      conn.send(JSON.stringify(_.assign({}, ledgerNotFound, {id: request.id})));
+    });
+    return this.api.getLedger({ledgerVersion: 8819951}).then(
+      _.partial(checkResult, responses.getLedger.header, 'getLedger'));
+  });
+
+  it('getBalances - ledgerVersion on a server with the ledger', function() {
+    const servers = this.api.remote._servers;
+    let primaryRequests = 0;
+    this.mockRippled.onAny(function() {
+      primaryRequests += 1;
+    });
+    servers[0]._ledgerRanges.reset();
+    servers[0]._ledgerRanges.addRange(8819000, 8819951);
+    return this.api.getBalances(address, {ledgerVersion: 8818000}).then(
+      balances => {
+        checkResult(responses.getBalances, 'getBalances', balances);
+        assert.strictEqual(primaryRequests, 0);
+      });
+  });
+
+  it('getTransaction - fails over when the server disconnects', function() {
+    const servers = this.api.remote._servers;
+    this.mockRippled.removeAllListeners('request_tx');
+    this.mockRippled.on('request_tx', () => {
+      servers[0].disconnect();
+    });
+    return this.api.getTransaction(hashes.NOTFOUND_TRANSACTION_HASH).then(() => {
+      assert(false, 'Should throw NotFoundError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.NotFoundError);
+    });
+  });
+
+  it('getTransaction - disconnects and no other server has the history',
+  function() {
+    const servers = this.api.remote._servers;
+    servers[1]._ledgerRanges.reset();
+    servers[1]._ledgerRanges.addRange(8819000, 8819951);
+    this.mockRippled.removeAllListeners('request_tx');
+    this.mockRippled.on('request_tx', () => {
+      servers[0].disconnect();
+    });
+    return this.api.getTransaction(hashes.NOTFOUND_TRANSACTION_HASH).then(() => {
+      assert(false, 'Should throw MissingLedgerHistoryError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.MissingLedgerHistoryError);
+      assert.strictEqual(_.size(servers[0]._requests), 0);
+    });
+  });
+
+  it('getTransactions - disconnects and no other server has the history',
+  function() {
+    const servers = this.api.remote._servers;
+    servers[1]._ledgerRanges.reset();
+    servers[1]._ledgerRanges.addRange(8819000, 8819951);
+    this.mockRippled.removeAllListeners('request_account_tx');
+    this.mockRippled.on('request_account_tx', () => {
+      servers[0].disconnect();
+    });
+    const options = {types: ['payment', 'order'], initiated: true, limit: 2};
+    return this.api.getTransactions(address, options).then(() => {
+      assert(false, 'Should throw MissingLedgerHistoryError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.MissingLedgerHistoryError);
+    });
+  });
+
+  it('keeps requests sent to a specific server', function() {
+    const servers = this.api.remote._servers;
+    const request = this.api.remote.requestServerInfo();
+    request.setServer(servers[0]).request();
+    closeLedgers(servers[1], 3);
+    assert.strictEqual(request.server, servers[0]);
+    assert.strictEqual(getFailoverRequests(servers[1]).length, 0);
+  });
+});
+
+describe('RippleAPI - JSON-RPC', function() {
+  beforeEach(setupAPI.setupJsonRpc);
+  afterEach(setupAPI.teardown);
+
+  it('connects over HTTP', function() {
+    const server = this.api.remote.getServer();
+    assert.strictEqual(this.api.isConnected(), true);
+    assert.strictEqual(server.supportsSubscriptions(), false);
+    assert.strictEqual(this.api.remote.getLedgerSequence(), 8819951);
+    assert(server.hasLedger(8819951));
+  });
+
+  it('getServerInfo', function() {
+    return this.api.getServerInfo().then(
+      _.partial(checkResult, responses.getServerInfo, 'getServerInfo'));
+  });
+
+  it('getBalances', function() {
+    return this.api.getBalances(address).then(
+      _.partial(checkResult, responses.getBalances, 'getBalances'));
+  });
+
+  it('getTransaction', function() {
+    const hash =
+      '4FB3ADF22F3C605E23FAEFAA185F3BD763C4692CAC490D9819D117CD33BFAA1B';
+    return this.api.getTransaction(hash).then(
+      _.partial(checkResult, responses.getTransaction.settings,
+        'getTransaction'));
+  });
+
+  it('getTransaction - not found by hash', function() {
+    const hash = hashes.NOTFOUND_TRANSACTION_HASH;
+    return this.api.getTransaction(hash).then(() => {
+      assert(false, 'Should throw NotFoundError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.NotFoundError);
+    });
+  });
+
+  it('submit', function() {
+    return this.api.submit(responses.sign.signedTransaction).then(
+      _.partial(checkResult, responses.submit, 'submit'));
+  });
+
+  it('ledger event', function(done) {
+    this.mockRippled.removeAllListeners('request_server_state');
+    this.mockRippled.on('request_server_state', (request, conn) => {
+      const response = _.cloneDeep(fixtures.rippled.server_state);
+      response.id = request.id;
+      response.result.state.validated_ledger.seq = 8819952;
+      response.result.state.complete_ledgers = '32570-8819952';
+      conn.send(JSON.stringify(response));
+    });
+    this.api.on('ledger', message => {
+      schemaValidator.schemaValidate('ledgerClosed', message);
+      assert.strictEqual(message.ledgerVersion, 8819952);
+      assert.strictEqual(message.validatedLedgerVersions, '32570-8819952');
+      done();
+    });
+    this.api.remote.getServer()._ws._poll();
+  });
+
+  it('subscribeAccounts', function() {
+    return this.api.subscribeAccounts([address]).then(() => {
+      assert(false, 'Should throw NotSupportedError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.NotSupportedError);
+    });
+  });
+
+  it('subscribeOrderbook', function() {
+    return this.api.subscribeOrderbook(orderbook, _.noop).then(() => {
+      assert(false, 'Should throw NotSupportedError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.NotSupportedError);
+      assert.strictEqual(this.api._orderbookSubscriptions.length, 0);
+    });
+  });
+
+  it('watchPaths', function() {
+    assert.throws(() => {
+      this.api.watchPaths(requests.getPaths.normal, _.noop);
+    }, this.api.errors.NotSupportedError);
+  });
+
+  it('subscribe request fails instead of hanging', function(done) {
+    this.api.remote.requestSubscribe(['transactions']).callback(error => {
+      assert.strictEqual(error.remote.error, 'notSupported');
+      done();
+    });
+  });
+
+  it('request fails if the server cannot be reached', function() {
+    this.mockRippled.close();
+    return this.api.getServerInfo().then(() => {
+      assert(false, 'Should throw NetworkError');
+    }).catch(error => {
+      assert(error instanceof this.api.errors.NetworkError);
+    });
+  });
+});
+
 describe('RippleAPI - offline', function() {
   it('prepareSettings and sign', function() {
     const api = new RippleAPI();
@@ -775,6 +2273,45 @@ describe('RippleAPI - offline', function() {
     });
   });
 
+  it('prepare* offline', function() {
+    const api = new RippleAPI();
+    const instructions = {
+      sequence: 23,
+      maxLedgerVersion: 8820051,
+      fee: '0.000012'
+    };
+    return Promise.all([
+      api.preparePayment(address, requests.preparePayment, instructions),
+      api.prepareOrder(address, requests.prepareOrder, instructions),
+      api.prepareTrustline(address, requests.prepareTrustline.simple,
+        instructions)
+    ]).then(results => {
+      results.forEach(result =>
+        schemaValidator.schemaValidate('prepare', result));
+      assert.deepEqual(results[0].instructions, {
+        fee: '12',
+        sequence: 23,
+        maxLedgerVersion: 8820051
+      });
+    });
+  });
+
+  it('prepare* offline - missing instructions', function() {
+    const api = new RippleAPI();
+    return api.preparePayment(address, requests.preparePayment,
+        {fee: '0.000012'}).then(() => {
+      assert(false, 'Should throw ValidationError');
+    }).catch(error => {
+      assert(error instanceof api.errors.ValidationError);
+      assert(/missing: sequence, maxLedgerVersion$/.test(error.message));
+    });
+  });
+
+  it('RippleAPI - invalid timeout', function() {
+    assert.throws(() => new RippleAPI({timeout: 0}),
+      RippleAPI.prototype.errors.ValidationError);
+  });
+
   it('computeLedgerHash', function() {
     const header = requests.computeLedgerHash.header;
     const ledgerHash = RippleAPI._PRIVATE.computeLedgerHash(header);
@@ -801,6 +2338,89 @@ describe('RippleAPI - offline', function() {
     assert.throws(() => RippleAPI._PRIVATE.computeLedgerHash(header));
   });
 
+  describe('verifyTransactionProof', function() {
+    const ledgerHash =
+      'F4D865D83EB88C1A1911B9E90641919A1314F36E1B099F8E95FE3B7C77BE3349';
+    // closeTimeHuman is not part of a ledger header returned by getLedger
+    const header = _.assign({}, _.omit(requests.computeLedgerHash.header,
+      'closeTimeHuman'), {ledgerHash});
+    const transactions = requests.computeLedgerHash.transactions;
+    const txWithMeta = transactions[2];
+
+    function computeProof(hash) {
+      const ledger = common.core.Ledger.from_json({transactions:
+        transactions.map(tx => _.assign({metaData: tx.meta}, tx.tx))});
+      return ledger.calc_tx_proof(hash);
+    }
+
+    it('verifyTransactionProof', function() {
+      const api = new RippleAPI();
+      const proof = computeProof(txWithMeta.hash);
+      assert.strictEqual(
+        api.verifyTransactionProof(txWithMeta, proof, header), true);
+    });
+
+    it('verifyTransactionProof - tampered proof', function() {
+      const api = new RippleAPI();
+      const proof = computeProof(txWithMeta.hash);
+      // replace the hash of an empty slot, which changes the root hash
+      const slot = proof[0].indexOf(_.repeat('0', 64));
+      proof[0][slot] = ledgerHash;
+      assert.strictEqual(
+        api.verifyTransactionProof(txWithMeta, proof, header), false);
+    });
+
+    it('verifyTransactionProof - tampered metadata', function() {
+      const api = new RippleAPI();
+      const proof = computeProof(txWithMeta.hash);
+      const tampered = _.cloneDeep(txWithMeta);
+      tampered.meta.TransactionResult = 'tecUNFUNDED_PAYMENT';
+      assert.strictEqual(
+        api.verifyTransactionProof(tampered, proof, header), false);
+    });
+
+    it('verifyTransactionProof - header does not match ledgerHash',
+    function() {
+      const api = new RippleAPI();
+      const proof = computeProof(txWithMeta.hash);
+      const otherHeader = _.assign({}, header, {closeTime: 492656480});
+      assert.strictEqual(
+        api.verifyTransactionProof(txWithMeta, proof, otherHeader), false);
+    });
+
+    it('verifyTransactionProof - header without ledgerHash', function() {
+      const api = new RippleAPI();
+      const proof = computeProof(txWithMeta.hash);
+      assert.throws(() => {
+        api.verifyTransactionProof(txWithMeta, proof,
+          {transactionHash: header.transactionHash});
+      }, api.errors.ValidationError);
+      assert.throws(() => {
+        api.verifyTransactionProof(txWithMeta, proof,
+          _.omit(header, 'ledgerHash'));
+      }, api.errors.ValidationError);
+    });
+
+    it('verifyTransactionProof - invalid header', function() {
+      const api = new RippleAPI();
+      const proof = computeProof(txWithMeta.hash);
+      assert.throws(() => {
+        api.verifyTransactionProof(txWithMeta, proof, {});
+      }, api.errors.ValidationError);
+      assert.throws(() => {
+        api.verifyTransactionProof(txWithMeta, proof,
+          _.assign({}, header, {ledgerHash: 'AB'}));
+      }, api.errors.ValidationError);
+    });
+
+    it('verifyTransactionProof - invalid proof', function() {
+      const api = new RippleAPI();
+      assert.throws(() => {
+        api.verifyTransactionProof(txWithMeta, [['00']], header);
+      }, api.errors.ValidationError);
+    });
+  });
+
 /* eslint-disable no-unused-vars */
   it('RippleAPI - implicit server port', function() {
     const api = new RippleAPI({servers: ['wss://s1.ripple.com']});
@@ -816,6 +2436,52 @@ describe('RippleAPI - offline', function() {
     assert.deepEqual(api.remote.servers, ['wss://s:1']);
   });
 
+  it('RippleAPI failover options', function() {
+    const api = new RippleAPI({
+      servers: ['wss://s:1', 'wss://s:2'],
+      serverSelection: 'priority',
+      maxLedgerLag: 5,
+      maxLatency: 2000
+    });
+    assert.strictEqual(api.remote.server_selection, 'priority');
+    assert.strictEqual(api.remote.max_ledger_lag, 5);
+    assert.strictEqual(api.remote.max_latency, 2000);
+  });
+
+  it('RippleAPI invalid failover options', function() {
+    assert.throws(() => new RippleAPI({serverSelection: 'random'}),
+      common.errors.ValidationError);
+    assert.throws(() => new RippleAPI({maxLedgerLag: -1}),
+      common.errors.ValidationError);
+  });
+
+  it('RippleAPI connection options', function() {
+    const api = new RippleAPI({
+      servers: ['wss://s:1'],
+      proxy: 'https://proxy:3128',
+      proxyAuthorization: 'proxyuser:proxypass',
+      authorization: 'user:pass',
+      trustedCertificates: ['CA'],
+      key: 'KEY',
+      certificate: 'CERT',
+      passphrase: 'PASSPHRASE'
+    });
+    assert.strictEqual(api.remote.proxy, 'https://proxy:3128');
+    assert.strictEqual(api.remote.proxy_authorization, 'proxyuser:proxypass');
+    assert.strictEqual(api.remote.authorization, 'user:pass');
+    assert.deepEqual(api.remote.trusted_certificates, ['CA']);
+    assert.strictEqual(api.remote.key, 'KEY');
+    assert.strictEqual(api.remote.certificate, 'CERT');
+    assert.strictEqual(api.remote.passphrase, 'PASSPHRASE');
+  });
+
+  it('RippleAPI invalid connection options', function() {
+    assert.throws(() => new RippleAPI({proxy: 'not a uri'}),
+      common.errors.ValidationError);
+    assert.throws(() => new RippleAPI({trustedCertificates: 'CA'}),
+      common.errors.ValidationError);
+  });
+
   it('RippleAPI invalid server uri', function() {
     assert.throws(() => new RippleAPI({servers: ['wss//s:1']}));
   });
@@ -4,7 +4,9 @@ module.exports = {
   OTHER_ACCOUNT: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
   THIRD_ACCOUNT: 'rwBYyfufTzk77zUSKEu4MvixfarC35av1J',
   FOURTH_ACCOUNT: 'rJnZ4YHCUsHvQu7R6mZohevKJDHFzVD6Zr',
+  FIFTH_ACCOUNT: 'r9UHu5CWni1qRY7Q4CfFZLGvXo2pGQy96b',
   ISSUER: 'rMH4UxPrbuMa1spCBR98hLLyNJp4d8p4tM',
+  ORDERBOOK_ISSUER: 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B',
   NOTFOUND: 'rajTAg3hon5Lcu1RxQQPxTgHvqfhc1EaUS',
   SECRET: 'shsWGZcmZz6YsWWmcnpfr6fLTdtFV'
 };
@@ -11,12 +11,22 @@ module.exports = {
     simple: require('./prepare-trustline-simple'),
     complex: require('./prepare-trustline')
   },
+  prepareEscrowCreation: require('./prepare-escrow-creation'),
+  prepareEscrowExecution: require('./prepare-escrow-execution'),
+  prepareEscrowCancellation: require('./prepare-escrow-cancellation'),
+  preparePaymentChannelCreate: require('./prepare-payment-channel-create'),
+  preparePaymentChannelFund: require('./prepare-payment-channel-fund'),
+  preparePaymentChannelClaim: require('./prepare-payment-channel-claim'),
+  prepareSignerList: require('./prepare-signer-list'),
   sign: require('./sign'),
+  combine: require('./combine'),
+  verifyTransaction: require('./verify-transaction'),
   getPaths: {
     normal: require('./getpaths/normal'),
     UsdToUsd: require('./getpaths/usd2usd'),
     XrpToXrp: require('./getpaths/xrp2xrp'),
     XrpToXrpNotEnough: require('./getpaths/xrp2xrp-not-enough'),
+    SendAll: require('./getpaths/send-all'),
     NotAcceptCurrency: require('./getpaths/not-accept-currency'),
     NoPaths: require('./getpaths/no-paths'),
     NoPathsWithCurrencies: require('./getpaths/no-paths-with-currencies')
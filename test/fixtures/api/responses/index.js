@@ -3,16 +3,35 @@
 module.exports = {
   generateAddress: require('./generate-address.json'),
   getAccountInfo: require('./get-account-info.json'),
+  getAccountObjects: {
+    all: require('./get-account-objects.json'),
+    tickets: require('./get-account-objects-tickets.json')
+  },
   getBalances: require('./get-balances.json'),
-  getOrderbook: require('./get-orderbook.json'),
+  getOrderbook: {
+    normal: require('./get-orderbook.json'),
+    autobridge: require('./get-orderbook-autobridge.json')
+  },
+  getOrderQuote: {
+    buy: require('./get-order-quote-buy.json'),
+    sell: require('./get-order-quote-sell.json'),
+    autobridge: require('./get-order-quote-autobridge.json')
+  },
+  getOrderbookDepth: {
+    normal: require('./get-orderbook-depth.json'),
+    tickSize: require('./get-orderbook-depth-tick-size.json')
+  },
   getOrders: require('./get-orders.json'),
+  getPaymentChannel: require('./get-payment-channel.json'),
   getPaths: {
     XrpToUsd: require('./get-paths.json'),
     UsdToUsd: require('./get-paths-send-usd.json'),
-    XrpToXrp: require('./get-paths-xrp-to-xrp.json')
+    XrpToXrp: require('./get-paths-xrp-to-xrp.json'),
+    sendAll: require('./get-paths-send-all.json')
   },
   getServerInfo: require('./get-server-info.json'),
   getSettings: require('./get-settings.json'),
+  getTickets: require('./get-tickets.json'),
   getTransaction: {
     orderCancellation: require('./get-transaction-order-cancellation.json'),
     order: require('./get-transaction-order.json'),
@@ -24,10 +43,24 @@ module.exports = {
     setRegularKey: require('./get-transaction-settings-set-regular-key.json'),
     trustlineFrozenOff: require('./get-transaction-trust-set-frozen-off.json'),
     trustlineNoQuality: require('./get-transaction-trust-no-quality.json'),
-    notValidated: require('./get-transaction-not-validated.json')
+    notValidated: require('./get-transaction-not-validated.json'),
+    escrowCreation: require('./get-transaction-escrow-creation.json'),
+    escrowExecution: require('./get-transaction-escrow-execution.json'),
+    escrowCancellation: require('./get-transaction-escrow-cancellation.json'),
+    paymentChannelCreate:
+      require('./get-transaction-payment-channel-create.json'),
+    paymentChannelFund: require('./get-transaction-payment-channel-fund.json'),
+    paymentChannelClaim:
+      require('./get-transaction-payment-channel-claim.json'),
+    signerList: require('./get-transaction-signer-list.json'),
+    ticketCreate: require('./get-transaction-ticket-create.json'),
+    amendment: require('./get-transaction-amendment.json'),
+    feeUpdate: require('./get-transaction-fee-update.json'),
+    unknown: require('./get-transaction-unknown.json')
   },
   getTransactions: require('./get-transactions.json'),
   getTrustlines: require('./get-trustlines.json'),
+  ledgerClosed: require('./ledger-closed.json'),
   getLedger: {
     header: require('./get-ledger'),
     full: require('./get-ledger-full')
@@ -37,6 +70,7 @@ module.exports = {
   prepareOrderSell: require('./prepare-order-sell.json'),
   preparePayment: require('./prepare-payment.json'),
   preparePaymentAllOptions: require('./prepare-payment-all-options.json'),
+  preparePaymentDeliverMin: require('./prepare-payment-deliver-min.json'),
   preparePaymentNoCounterparty:
     require('./prepare-payment-no-counterparty.json'),
   prepareSettings: {
@@ -47,10 +81,30 @@ module.exports = {
     setTransferRate: require('./prepare-settings-set-transfer-rate.json'),
     fieldClear: require('./prepare-settings-field-clear.json')
   },
+  prepareEscrowCreation: require('./prepare-escrow-creation.json'),
+  prepareEscrowExecution: require('./prepare-escrow-execution.json'),
+  prepareEscrowCancellation: require('./prepare-escrow-cancellation.json'),
+  preparePaymentChannelCreate:
+    require('./prepare-payment-channel-create.json'),
+  preparePaymentChannelFund: require('./prepare-payment-channel-fund.json'),
+  preparePaymentChannelClaim: require('./prepare-payment-channel-claim.json'),
   prepareTrustline: {
     simple: require('./prepare-trustline-simple.json'),
     complex: require('./prepare-trustline.json')
   },
+  prepareSignerList: require('./prepare-signer-list.json'),
+  prepareTicketCreate: require('./prepare-ticket-create.json'),
+  prepareTicketCancel: require('./prepare-ticket-cancel.json'),
+  preparePaymentTicket: require('./prepare-payment-ticket.json'),
   sign: require('./sign.json'),
+  signAs: require('./sign-as.json'),
+  combine: require('./combine.json'),
+  verifyTransaction: {
+    normal: require('./verify-transaction.json'),
+    multisigned: require('./verify-transaction-multisigned.json'),
+    ed25519: require('./verify-transaction-ed25519.json'),
+    nonCanonical: require('./verify-transaction-non-canonical.json')
+  },
+  signPaymentChannelClaim: require('./sign-payment-channel-claim.json'),
   submit: require('./submit.json')
 };
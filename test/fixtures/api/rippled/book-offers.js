@@ -1178,3 +1178,117 @@ module.exports.requestBookOffersXRPCounterResponse = function(request) {
    }
  });
 };
+
+module.exports.requestBookOffersBTCForXRPResponse = function(request) {
+  return JSON.stringify({
+    id: request.id,
+    status: 'success',
+    type: 'response',
+    result: {
+      ledger_index: request.ledger_index,
+      offers: [
+        {
+          Account: 'rwBYyfufTzk77zUSKEu4MvixfarC35av1J',
+          BookDirectory: '7E984FCE1C6C5CA8B65BEFE9F5D1D3A8A3C9E42B0F3A65C7570390B3B1F1E000',
+          BookNode: '0000000000000000',
+          Flags: 131072,
+          LedgerEntryType: 'Offer',
+          OwnerNode: '0000000000000000',
+          PreviousTxnID: '0B4B8D5B3CB2E1F0B87A1B0D82F2E1F7C8E5D1A2B3C4D5E6F708192A3B4C5D6E',
+          PreviousTxnLgrSeq: 11003500,
+          Sequence: 112,
+          TakerGets: {
+            currency: 'BTC',
+            issuer: 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B',
+            value: '1'
+         },
+          TakerPays: '16000000000',
+          index: '5B1E32A1D8D09B4A2F3E76B8C7E43C3F2D39E7B6A3C8D5E1F2A4B6C8D0E2F416',
+          owner_funds: '5',
+          quality: '16000000000'
+       },
+        {
+          Account: 'rJnZ4YHCUsHvQu7R6mZohevKJDHFzVD6Zr',
+          BookDirectory: '7E984FCE1C6C5CA8B65BEFE9F5D1D3A8A3C9E42B0F3A65C75703A9F1C7A28000',
+          BookNode: '0000000000000000',
+          Flags: 0,
+          LedgerEntryType: 'Offer',
+          OwnerNode: '0000000000000000',
+          PreviousTxnID: '6A2E8F4C1B3D5E7F90A2B4C6D8E0F1A3B5C7D9E1F2A4B6C8D0E2F4A6B8C0D2E4',
+          PreviousTxnLgrSeq: 11003620,
+          Sequence: 47,
+          TakerGets: {
+            currency: 'BTC',
+            issuer: 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B',
+            value: '2'
+         },
+          TakerPays: '33000000000',
+          index: 'C2D4E6F8A0B2C4D6E8F0A2B4C6D8E0F2A4B6C8D0E2F4A6B8C0D2E4F6A8B0C2D4',
+          owner_funds: '1.5',
+          quality: '16500000000',
+          taker_gets_funded: {
+            currency: 'BTC',
+            issuer: 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B',
+            value: '1.5'
+         },
+          taker_pays_funded: '24750000000'
+       }
+     ],
+      validated: true
+   }
+ });
+};
+
+module.exports.requestBookOffersXRPForBTCResponse = function(request) {
+  return JSON.stringify({
+    id: request.id,
+    status: 'success',
+    type: 'response',
+    result: {
+      ledger_index: request.ledger_index,
+      offers: [
+        {
+          Account: 'r9UHu5CWni1qRY7Q4CfFZLGvXo2pGQy96b',
+          BookDirectory: 'A3D6F86E1C39E3B2C6F1E2D4A5B7C9E0F1A3B5C7D9E1F2A45D17B0A2F3C4D5E6',
+          BookNode: '0000000000000000',
+          Flags: 0,
+          LedgerEntryType: 'Offer',
+          OwnerNode: '0000000000000000',
+          PreviousTxnID: 'E1F3A5B7C9D1E3F5A7B9C1D3E5F7A9B1C3D5E7F9A1B3C5D7E9F1A3B5C7D9E1F3',
+          PreviousTxnLgrSeq: 11003710,
+          Sequence: 803,
+          TakerGets: '15000000000',
+          TakerPays: {
+            currency: 'BTC',
+            issuer: 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B',
+            value: '1'
+         },
+          index: '7F9E1D3C5B7A9F1E3D5C7B9A1F3E5D7C9B1A3F5E7D9C1B3A5F7E9D1C3B5A7F9E',
+          owner_funds: '40000000000',
+          quality: '0.00000000006666666666666667'
+       },
+        {
+          Account: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+          BookDirectory: 'A3D6F86E1C39E3B2C6F1E2D4A5B7C9E0F1A3B5C7D9E1F2A45D18801F4E2B1C00',
+          BookNode: '0000000000000000',
+          Flags: 131072,
+          LedgerEntryType: 'Offer',
+          OwnerNode: '0000000000000000',
+          PreviousTxnID: '2C4E6A8C0E2A4C6E8A0C2E4A6C8E0A2C4E6A8C0E2A4C6E8A0C2E4A6C8E0A2C4E',
+          PreviousTxnLgrSeq: 11003804,
+          Sequence: 19,
+          TakerGets: '29000000000',
+          TakerPays: {
+            currency: 'BTC',
+            issuer: 'rvYAfWj5gh67oV6fW32ZzP3Aw4Eubs59B',
+            value: '2'
+         },
+          index: '3E5A7C9E1A3C5E7A9C1E3A5C7E9A1C3E5A7C9E1A3C5E7A9C1E3A5C7E9A1C3E5A',
+          owner_funds: '29000000000',
+          quality: '0.00000000006896551724137931'
+       }
+     ],
+      validated: true
+   }
+ });
+};
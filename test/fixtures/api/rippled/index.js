@@ -7,29 +7,58 @@ module.exports = {
   ledgerWithoutCloseTime: require('./ledger-without-close-time'),
   subscribe: require('./subscribe'),
   unsubscribe: require('./unsubscribe'),
+  transactionStream: require('./transaction-stream'),
+  orderbookTransactionStream: require('./orderbook-transaction-stream'),
   account_info: {
     normal: require('./account-info'),
     notfound: require('./account-info-not-found')
   },
   account_offers: require('./account-offers'),
+  account_objects: {
+    all: require('./account-objects'),
+    allNext: require('./account-objects-next'),
+    tickets: require('./account-objects-tickets')
+  },
   account_tx: require('./account-tx'),
   book_offers: require('./book-offers'),
+  ledger_entry: {
+    paymentChannel: require('./ledger-entry-payment-channel'),
+    notFound: require('./ledger-entry-not-found')
+  },
   server_info: require('./server-info'),
   server_info_error: require('./server-info-error'),
+  server_state: require('./server-state'),
   path_find: {
     generate: require('./path-find'),
     sendUSD: require('./path-find-send-usd'),
     XrpToXrp: require('./path-find-xrp-to-xrp'),
-    srcActNotFound: require('./path-find-srcActNotFound')
+    srcActNotFound: require('./path-find-srcActNotFound'),
+    close: require('./path-find-close')
   },
   tx: {
     Payment: require('./tx/payment.json'),
+    PaymentPartial: require('./tx/payment-partial.json'),
+    PaymentPartialDeliveredAmount:
+      require('./tx/payment-partial-delivered-amount.json'),
+    PaymentPartialUnavailable:
+      require('./tx/payment-partial-unavailable.json'),
     AccountSet: require('./tx/account-set.json'),
     AccountSetTrackingOn: require('./tx/account-set-tracking-on.json'),
     AccountSetTrackingOff: require('./tx/account-set-tracking-off.json'),
     RegularKey: require('./tx/set-regular-key.json'),
     OfferCreate: require('./tx/offer-create.json'),
     OfferCancel: require('./tx/offer-cancel.json'),
+    EscrowCreate: require('./tx/escrow-create.json'),
+    EscrowFinish: require('./tx/escrow-finish.json'),
+    EscrowCancel: require('./tx/escrow-cancel.json'),
+    PaymentChannelCreate: require('./tx/payment-channel-create.json'),
+    PaymentChannelFund: require('./tx/payment-channel-fund.json'),
+    PaymentChannelClaim: require('./tx/payment-channel-claim.json'),
+    SignerListSet: require('./tx/signer-list-set.json'),
+    TicketCreate: require('./tx/ticket-create.json'),
+    EnableAmendment: require('./tx/enable-amendment.json'),
+    SetFee: require('./tx/set-fee.json'),
+    Unknown: require('./tx/unknown.json'),
     TrustSet: require('./tx/trust-set.json'),
     TrustSetFrozenOff: require('./tx/trust-set-frozen-off.json'),
     TrustSetNoQuality: require('./tx/trust-set-no-quality.json'),
@@ -412,3 +412,55 @@ function(request_id, sendingAccount, destinationAccount) {
     }
   });
 };
+
+module.exports.generateSendMaxPaths =
+function(request_id, sendingAccount, destinationAccount, destinationAmount,
+  sendMax
+) {
+  return JSON.stringify({
+    'id': request_id,
+    'status': 'success',
+    'type': 'response',
+    'result': {
+      'full_reply': true,
+      'source_account': sendingAccount,
+      'destination_amount': destinationAmount,
+      'alternatives': [
+        {
+          'paths_canonical': [],
+          'paths_computed': [
+            [
+              {
+                'currency': 'XRP',
+                'type': 16,
+                'type_hex': '0000000000000010'
+              },
+              {
+                'currency': destinationAmount.currency,
+                'issuer': destinationAmount.issuer,
+                'type': 48,
+                'type_hex': '0000000000000030'
+              },
+              {
+                'account': destinationAmount.issuer,
+                'type': 1,
+                'type_hex': '0000000000000001'
+              }
+            ]
+          ],
+          'destination_amount': {
+            'currency': destinationAmount.currency,
+            'issuer': destinationAmount.issuer,
+            'value': '4.93847592874'
+          },
+          'source_amount': sendMax
+        }
+      ],
+      'destination_account': destinationAccount,
+      'destination_currencies': [
+        'USD',
+        'XRP'
+      ]
+    }
+  });
+};
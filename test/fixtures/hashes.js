@@ -5,6 +5,10 @@ module.exports = {
     'F4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9BF',
   NOTFOUND_TRANSACTION_HASH:
     'D7FA4BBD23FAA88FC208BD194EC435D7A1FD9E2E8887B9C17A811A0739AA4AE4',
+  PAYMENT_CHANNEL_ID:
+    'C1AE6DDDEEC05CF2978C0BAD6FE302948E9533691DC749DCDD3B9E5992CA6198',
+  SIGNED_TRANSACTION_HASH:
+    '7AFE2F2FBE72467C47CCDD6DBA890AB3C97A708C335983F77AF32C4308C73633',
   INVALID_TRANSACTION_HASH:
     'XF4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9BF',
   ORDER_HASH:
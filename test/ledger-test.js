@@ -31,9 +31,42 @@ function create_ledger_test(ledger_index) {
       assert.equal(ledger_json.transaction_hash,
         ledger.calc_tx_hash().to_hex());
     });
+    if (ledger_json.transactions.length > 0) {
+      it('has a transaction proof for its last transaction', function() {
+        const tx_json = ledger_json.transactions[
+          ledger_json.transactions.length - 1];
+        const proof = ledger.calc_tx_proof(tx_json.hash);
+        assert(Ledger.verifyTransactionProof(tx_json, proof,
+          ledger_json.transaction_hash));
+      });
+    }
   });
 }
 describe('Ledger', function() {
+  describe('#verifyTransactionProof', function() {
+    const path = __dirname + '/fixtures/ledger-full-7501326.json';
+    const ledger_json = JSON.parse(fs.readFileSync(path));
+    const ledger = Ledger.from_json(ledger_json);
+    const tx_json = ledger_json.transactions[0];
+
+    it('will not verify a proof for another transaction', function() {
+      const proof = ledger.calc_tx_proof(ledger_json.transactions[1].hash);
+      assert(!Ledger.verifyTransactionProof(tx_json, proof,
+        ledger_json.transaction_hash));
+    });
+
+    it('will not verify a proof for another root hash', function() {
+      const proof = ledger.calc_tx_proof(tx_json.hash);
+      assert(!Ledger.verifyTransactionProof(tx_json, proof,
+        ledger_json.account_hash));
+    });
+
+    it('will not generate a proof for a missing transaction', function() {
+      assert.strictEqual(ledger.calc_tx_proof(ledger_json.account_hash),
+        null);
+    });
+  });
+
   // This is the first recorded ledger with a non empty transaction set
   create_ledger_test(38129);
   // Because, why not.
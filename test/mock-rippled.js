@@ -1,6 +1,7 @@
 'use strict';
 const _ = require('lodash');
 const assert = require('assert');
+const http = require('http');
 const WebSocketServer = require('ws').Server;
 const EventEmitter2 = require('eventemitter2').EventEmitter2;
 const fixtures = require('./fixtures/api/rippled');
@@ -18,6 +19,10 @@ function isBTC(json) {
   return json === 'BTC' || json === '0000000000000000000000004254430000000000';
 }
 
+function isXRP(json) {
+  return json === 'XRP' || json === '0000000000000000000000000000000000000000';
+}
+
 function createResponse(request, response, overrides = {}) {
   const result = _.assign({}, response.result, overrides);
   const change = response.result && !_.isEmpty(overrides) ?
@@ -46,9 +51,32 @@ function createLedgerResponse(request, response) {
   return JSON.stringify(newResponse);
 }
 
+// a connection that answers a JSON-RPC request with the response that would
+// have been sent over the WebSocket, and drops any other message
+function createJsonRpcConnection(response) {
+  let isAnswered = false;
+  return {
+    send: function(json) {
+      const message = JSON.parse(json);
+      if (isAnswered || message.type !== 'response') {
+        return;
+      }
+      isAnswered = true;
+      const result = message.status === 'success' ?
+        _.assign({}, message.result, {status: 'success'}) :
+        _.omit(message, ['id', 'type']);
+      response.writeHead(200, {'Content-Type': 'application/json'});
+      response.end(JSON.stringify({result: result}));
+    }
+  };
+}
+
 module.exports = function(port) {
-  const mock = new WebSocketServer({port: port});
+  // the HTTP server also serves JSON-RPC requests on the same port
+  const server = http.createServer();
+  const mock = new WebSocketServer({server: server});
   _.assign(mock, EventEmitter2.prototype);
+  server.listen(port);
 
   const close = mock.close;
   mock.close = function() {
@@ -64,19 +92,38 @@ module.exports = function(port) {
       }
     }
     close.call(mock);
+    server.close();
   };
 
   mock.expect = function(expectedRequests) {
     mock.expectedRequests = expectedRequests;
   };
 
-  mock.once('connection', function(conn) {
+  mock.on('connection', function(conn) {
     conn.on('message', function(requestJSON) {
+      // requests may still arrive after the client has closed the connection
+      if (conn.readyState !== conn.OPEN) {
+        return;
+      }
       const request = JSON.parse(requestJSON);
       mock.emit('request_' + request.command, request, conn);
     });
   });
 
+  server.on('request', function(request, response) {
+    let body = '';
+    request.on('data', function(chunk) {
+      body += chunk;
+    });
+    request.on('end', function() {
+      const json = JSON.parse(body);
+      const params = _.assign({}, json.params[0],
+        {id: 0, command: json.method});
+      mock.emit('request_' + json.method, params,
+        createJsonRpcConnection(response));
+    });
+  });
+
   mock.onAny(function() {
     if (this.event.indexOf('request_') !== 0) {
       return;
@@ -103,12 +150,20 @@ module.exports = function(port) {
     }
   });
 
+  mock.on('request_server_state', function(request, conn) {
+    assert.strictEqual(request.command, 'server_state');
+    conn.send(createResponse(request, fixtures.server_state));
+  });
+
   mock.on('request_subscribe', function(request, conn) {
     assert.strictEqual(request.command, 'subscribe');
     if (request.accounts) {
       assert(_.indexOf(_.values(addresses), request.accounts[0]) !== -1);
+    } else if (_.isEqual(request.streams, ['transactions'])) {
+      // order books subscribe to all transactions
     } else {
-      assert.deepEqual(request.streams, ['ledger', 'server']);
+      assert.deepEqual(_.without(request.streams, 'transactions'),
+        ['ledger', 'server']);
     }
     conn.send(createResponse(request, fixtures.subscribe));
   });
@@ -133,11 +188,25 @@ module.exports = function(port) {
       const response = _.assign({}, fixtures.account_info.normal);
       response.Account = addresses.THIRD_ACCOUNT;
       conn.send(createResponse(request, response));
+    } else if (request.account === addresses.ORDERBOOK_ISSUER) {
+      // the transfer rate of the issuer is requested by order books
+      const response = _.assign({}, fixtures.account_info.normal);
+      response.Account = addresses.ORDERBOOK_ISSUER;
+      conn.send(createResponse(request, response));
     } else {
       assert(false, 'Unrecognized account address: ' + request.account);
     }
   });
 
+  mock.on('request_ledger_entry', function(request, conn) {
+    assert.strictEqual(request.command, 'ledger_entry');
+    if (request.index === hashes.PAYMENT_CHANNEL_ID) {
+      conn.send(createResponse(request, fixtures.ledger_entry.paymentChannel));
+    } else {
+      conn.send(createResponse(request, fixtures.ledger_entry.notFound));
+    }
+  });
+
   mock.on('request_ledger', function(request, conn) {
     assert.strictEqual(request.command, 'ledger');
     if (request.ledger_index === 34) {
@@ -157,6 +226,16 @@ module.exports = function(port) {
     assert.strictEqual(request.command, 'tx');
     if (request.transaction === hashes.VALID_TRANSACTION_HASH) {
       conn.send(createResponse(request, fixtures.tx.Payment));
+    } else if (request.transaction ===
+        'F4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9B0') {
+      conn.send(createResponse(request, fixtures.tx.PaymentPartial));
+    } else if (request.transaction ===
+        'F4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9B1') {
+      conn.send(createResponse(request,
+        fixtures.tx.PaymentPartialDeliveredAmount));
+    } else if (request.transaction ===
+        'F4AB442A6D4CBB935D66E1DA7309A5FC71C7143ED4049053EC14E3875B0CF9B2') {
+      conn.send(createResponse(request, fixtures.tx.PaymentPartialUnavailable));
     } else if (request.transaction ===
         '4FB3ADF22F3C605E23FAEFAA185F3BD763C4692CAC490D9819D117CD33BFAA1B') {
       conn.send(createResponse(request, fixtures.tx.AccountSet));
@@ -175,6 +254,39 @@ module.exports = function(port) {
     } else if (request.transaction ===
         '809335DD3B0B333865096217AA2F55A4DF168E0198080B3A090D12D88880FF0E') {
       conn.send(createResponse(request, fixtures.tx.OfferCancel));
+    } else if (request.transaction ===
+        '6D8A0ABFA570B1BAE6BBB3A97C2730DD1CEC79B509873259CF546541C34FB1AB') {
+      conn.send(createResponse(request, fixtures.tx.EscrowCreate));
+    } else if (request.transaction ===
+        'C7E25EC84A027D22B3EAC00F863671E8E10A2B2D0F9046395715812899C043BB') {
+      conn.send(createResponse(request, fixtures.tx.EscrowFinish));
+    } else if (request.transaction ===
+        'E853EF658C3F128C533A8FFF739DBE9FF84E9189157037A1F5625B971C998686') {
+      conn.send(createResponse(request, fixtures.tx.EscrowCancel));
+    } else if (request.transaction ===
+        '21FB3135A10D71CB2BF3BCB6C1647270C54F2152B5F1A2FDAFE1C6F58B06744B') {
+      conn.send(createResponse(request, fixtures.tx.PaymentChannelCreate));
+    } else if (request.transaction ===
+        '55F742E98A5EA22BAF904B36543954FD36330539595E659B26D597B5F0C42582') {
+      conn.send(createResponse(request, fixtures.tx.PaymentChannelFund));
+    } else if (request.transaction ===
+        '718BE9595DBE40BF53A26A1D54D5E696B61BAAB2137D12E10AF058188CE8BEB2') {
+      conn.send(createResponse(request, fixtures.tx.PaymentChannelClaim));
+    } else if (request.transaction ===
+        '98E1D4623E7572A06305DC0DFF564FE0BBB3599E71F0391DC6207E5EC4C1CC7B') {
+      conn.send(createResponse(request, fixtures.tx.SignerListSet));
+    } else if (request.transaction ===
+        'C75F9053261FAD11650080B04C2D16570BAC673612BED218E60E099C238C5CC2') {
+      conn.send(createResponse(request, fixtures.tx.TicketCreate));
+    } else if (request.transaction ===
+        '736054A129F4A670F449B620AFB851C08B2EA2CECCFAE7CF5FED5229D9119A68') {
+      conn.send(createResponse(request, fixtures.tx.EnableAmendment));
+    } else if (request.transaction ===
+        '0CDF708BFFC4AE5DBA613D6C27A47C48FF9C01FEFDE5FF77D0DB045A23E39A0B') {
+      conn.send(createResponse(request, fixtures.tx.SetFee));
+    } else if (request.transaction ===
+        '6C1C8A4C4A2E8B2D2F9A8C0D9B1E6F3A5D7C9E1B3A5C7E9F1D3B5A7C9E1F3D5B') {
+      conn.send(createResponse(request, fixtures.tx.Unknown));
     } else if (request.transaction ===
         '635A0769BD94710A1F6A76CDE65A3BC661B20B798807D1BBBDADCEA26420538D') {
       conn.send(createResponse(request, fixtures.tx.TrustSet));
@@ -198,6 +310,13 @@ module.exports = function(port) {
       conn.send(createResponse(request, fixtures.tx.NotValidated));
     } else if (request.transaction === hashes.NOTFOUND_TRANSACTION_HASH) {
       conn.send(createResponse(request, fixtures.tx.NotFound));
+    } else if (request.transaction === hashes.SIGNED_TRANSACTION_HASH) {
+      if (mock.validateSubmittedTransaction) {
+        conn.send(createResponse(request, fixtures.tx.AccountSet,
+          {hash: request.transaction, ledger_index: 8819952}));
+      } else {
+        conn.send(createResponse(request, fixtures.tx.NotFound));
+      }
     } else {
       assert(false, 'Unrecognized transaction hash: ' + request.transaction);
     }
@@ -236,13 +355,41 @@ module.exports = function(port) {
     }
   });
 
+  mock.on('request_account_objects', function(request, conn) {
+    if (request.account === addresses.ACCOUNT && request.type === 'ticket') {
+      conn.send(createResponse(request, fixtures.account_objects.tickets));
+    } else if (request.account === addresses.ACCOUNT
+        && request.type === undefined) {
+      conn.send(createResponse(request, request.marker === undefined ?
+        fixtures.account_objects.all : fixtures.account_objects.allNext));
+    } else {
+      assert(false, 'Unrecognized account_objects request: '
+        + JSON.stringify(request));
+    }
+  });
+
   mock.on('request_book_offers', function(request, conn) {
-    if (isBTC(request.taker_gets.currency)
-        && isUSD(request.taker_pays.currency)) {
+    if (isUSD(request.taker_gets.currency)
+        && isBTC(request.taker_pays.currency)) {
       conn.send(fixtures.book_offers.requestBookOffersBidsResponse(request));
+    } else if (isBTC(request.taker_gets.currency)
+        && isUSD(request.taker_pays.currency)) {
+      conn.send(fixtures.book_offers.requestBookOffersAsksResponse(request));
     } else if (isUSD(request.taker_gets.currency)
+        && isXRP(request.taker_pays.currency)) {
+      conn.send(fixtures.book_offers.requestBookOffersXRPBaseResponse(request));
+    } else if (isXRP(request.taker_gets.currency)
+        && isUSD(request.taker_pays.currency)) {
+      conn.send(
+        fixtures.book_offers.requestBookOffersXRPCounterResponse(request));
+    } else if (isBTC(request.taker_gets.currency)
+        && isXRP(request.taker_pays.currency)) {
+      conn.send(
+        fixtures.book_offers.requestBookOffersBTCForXRPResponse(request));
+    } else if (isXRP(request.taker_gets.currency)
         && isBTC(request.taker_pays.currency)) {
-      conn.send(fixtures.book_offers.requestBookOffersAsksResponse(request));
+      conn.send(
+        fixtures.book_offers.requestBookOffersXRPForBTCResponse(request));
     } else {
       assert(false, 'Unrecognized order book: ' + JSON.stringify(request));
     }
@@ -251,6 +398,7 @@ module.exports = function(port) {
   mock.on('request_path_find', function(request, conn) {
     let response = null;
     if (request.subcommand === 'close') {
+      conn.send(createResponse(request, fixtures.path_find.close));
       return;
     }
     if (request.source_account === addresses.NOTFOUND) {
@@ -262,6 +410,10 @@ module.exports = function(port) {
         destination_amount: request.destination_amount,
         destination_address: request.destination_address
       });
+    } else if (request.send_max !== undefined) {
+      response = fixtures.path_find.generate.generateSendMaxPaths(
+        request.id, request.source_account, request.destination_account,
+        request.destination_amount, request.send_max);
     } else {
       response = fixtures.path_find.generate.generateIOUPaymentPaths(
         request.id, request.source_account, request.destination_account,
@@ -113,6 +113,53 @@ describe('OrderBook', function() {
     assert.deepEqual(book.listeners(), []);
   });
 
+  it('Unsubscribe - autobridged', function() {
+    const remote = new Remote();
+    const book = remote.createOrderBook({
+      currency_gets: 'USD',
+      issuer_gets: addresses.ISSUER,
+      currency_pays: 'BTC',
+      issuer_pays: addresses.ISSUER
+    });
+    const legOneBook = book._legOneBook;
+    const legTwoBook = book._legTwoBook;
+
+    book.on('model', function() {});
+    book.removeAllListeners('model');
+
+    assert.strictEqual(legOneBook.listeners('model').length, 0);
+    assert.strictEqual(legTwoBook.listeners('model').length, 0);
+    assert(!legOneBook._shouldSubscribe);
+    assert(!legTwoBook._shouldSubscribe);
+    assert.deepEqual(Object.keys(remote._books), []);
+  });
+
+  it('Unsubscribe - releases remote listeners', function() {
+    const remote = new Remote();
+    const events = ['transaction', 'prepare_subscribe', 'disconnect'];
+    function countListeners() {
+      return events.map(function(event) {
+        return remote.listeners(event).length;
+      });
+    }
+    const before = countListeners();
+
+    for (let i = 0; i < 3; i++) {
+      const book = remote.createOrderBook({
+        currency_gets: 'USD',
+        issuer_gets: addresses.ISSUER,
+        currency_pays: 'BTC',
+        issuer_pays: addresses.ISSUER
+      });
+      remote.emit('disconnect');
+      book.on('model', function() {});
+      book.removeAllListeners('model');
+    }
+
+    assert.deepEqual(countListeners(), before);
+    assert.deepEqual(Object.keys(remote._books), []);
+  });
+
   it('Automatic unsubscription - remove all listeners', function(done) {
     const book = new Remote().createOrderBook({
       currency_gets: 'XRP',
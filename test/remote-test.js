@@ -840,6 +840,65 @@ describe('Remote', function() {
     assert.strictEqual(remote.getServer().getServerID(), server.getServerID());
   });
 
+  it('Get server -- invalid server selection', function() {
+    assert.throws(function() {
+      new Remote({server_selection: 'random'});
+    }, /server_selection must be one of: score, priority/);
+  });
+  it('Get server -- priority selection', function() {
+    remote = new Remote({
+      server_selection: 'priority',
+      servers: ['wss://s1.ripple.com:443', 'wss://s2.ripple.com:443']
+    });
+    remote._servers.forEach(function(server) {
+      server._connected = true;
+    });
+    remote._servers[0]._score = 100;
+
+    assert.strictEqual(remote.getServer(), remote._servers[0]);
+
+    remote._servers[0]._connected = false;
+    assert.strictEqual(remote.getServer(), remote._servers[1]);
+  });
+  it('Get server -- lagging server', function() {
+    remote = new Remote({
+      max_ledger_lag: 2,
+      servers: ['wss://s1.ripple.com:443', 'wss://s2.ripple.com:443']
+    });
+    remote._servers.forEach(function(server) {
+      server._connected = true;
+      server._lastLedgerIndex = LEDGER_INDEX;
+    });
+    remote._ledger_current_index = LEDGER_INDEX + 1;
+    remote._setPrimaryServer(remote._servers[0]);
+
+    assert.strictEqual(remote.getServer(), remote._servers[0]);
+
+    remote._ledger_current_index = LEDGER_INDEX + 4;
+    remote._servers[1]._lastLedgerIndex = LEDGER_INDEX + 3;
+    assert.strictEqual(remote._servers[0].getLedgerLag(), 3);
+    assert.strictEqual(remote._servers[0].isHealthy(), false);
+    assert.strictEqual(remote.getServer(), remote._servers[1]);
+
+    // an unhealthy server is still used if it is the only one
+    remote._servers[1]._connected = false;
+    assert.strictEqual(remote.getServer(), remote._servers[0]);
+  });
+  it('Get server -- slow server', function() {
+    remote = new Remote({
+      max_latency: 1000,
+      servers: ['wss://s1.ripple.com:443', 'wss://s2.ripple.com:443']
+    });
+    remote._servers.forEach(function(server) {
+      server._connected = true;
+    });
+    remote._servers[1]._score = 100;
+    remote._servers[0]._latency = 2000;
+
+    assert.strictEqual(remote._servers[0].isHealthy(), false);
+    assert.strictEqual(remote.getServer(), remote._servers[1]);
+  });
+
   it('Parse binary transaction', function() {
     const binaryTransaction = require('./fixtures/binary-transaction.json');
 
@@ -1556,6 +1615,19 @@ describe('Remote', function() {
      });
    });
 
+   it('Construct account_objects request -- with type', function() {
+     const request = remote.requestAccountObjects({
+       account: ADDRESS,
+       type: 'ticket'
+     });
+     assert.deepEqual(request.message, {
+       command: 'account_objects',
+       id: undefined,
+       account: ADDRESS,
+       type: 'ticket'
+     });
+   });
+
 
   it('Construct offer request -- with ledger index', function() {
     const request = remote.requestOffer({
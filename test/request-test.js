@@ -525,6 +525,29 @@ describe('Request', function() {
     });
   });
 
+  it('Callback API - events set before the callback', function(done) {
+    const remote = {
+      request: function(req) {
+        req.emit('transaction', {hash: 'A'});
+      },
+      on: function() {
+      },
+      isConnected: function() {
+        return true;
+      }
+    };
+
+    const request = new Request(remote, 'tx');
+    request.callback(undefined, 'transaction');
+    assert(!request.requested);
+
+    request.callback(function(err, res) {
+      assert.ifError(err);
+      assert.deepEqual(res, {hash: 'A'});
+      done();
+    });
+  });
+
   it('Timeout', function(done) {
     const server = makeServer('wss://localhost:5006');
     let successEmitted = false;
@@ -39,14 +39,59 @@ function setup(done) {
   });
 }
 
+// a primary and a secondary server, each of which has closed a ledger
+function setupMultipleServers(done) {
+  getFreePort((error, port) => {
+    if (error) {
+      throw new Error('Unable to obtain a free port: ' + error);
+    }
+    this.mockRippled = createMockRippled(port);
+    getFreePort((error2, secondaryPort) => {
+      if (error2) {
+        throw new Error('Unable to obtain a free port: ' + error2);
+      }
+      this.secondaryMockRippled = createMockRippled(secondaryPort);
+      this.api = new RippleAPI({
+        servers: ['ws://localhost:' + port, 'ws://localhost:' + secondaryPort],
+        serverSelection: 'priority',
+        maxLedgerLag: 2
+      });
+      this.api.remote.once('ready', () => {
+        this.api.remote._servers.forEach(server => {
+          server.emit('message', ledgerClosed);
+        });
+        done();
+      });
+      this.api.connect().catch(done);
+    });
+  });
+}
+
+// a server that is connected over JSON-RPC instead of a WebSocket
+function setupJsonRpc(done) {
+  getFreePort((error, port) => {
+    if (error) {
+      throw new Error('Unable to obtain a free port: ' + error);
+    }
+    this.mockRippled = createMockRippled(port);
+    this.api = new RippleAPI({servers: ['http://localhost:' + port]});
+    this.api.connect().then(() => done()).catch(done);
+  });
+}
+
 function teardown(done) {
   this.api.disconnect().then(() => {
     this.mockRippled.close();
+    if (this.secondaryMockRippled) {
+      this.secondaryMockRippled.close();
+    }
     setImmediate(done);
   }).catch(done);
 }
 
 module.exports = {
   setup: setup,
+  setupMultipleServers: setupMultipleServers,
+  setupJsonRpc: setupJsonRpc,
   teardown: teardown
 };
@@ -1623,6 +1623,175 @@ describe('Transaction', function() {
     });
   });
 
+  it('Construct EscrowCreate transaction', function() {
+    const transaction = new Transaction().escrowCreate({
+      account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      destination: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      amount: '10000',
+      condition: 'a0258020e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855810100',
+      cancelAfter: new Date('2014-09-24T21:21:50.000Z'),
+      finishAfter: new Date('2014-09-24T21:21:40.000Z'),
+      destinationTag: 2
+    });
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0,
+      TransactionType: 'EscrowCreate',
+      Account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      Destination: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      Amount: '10000',
+      Condition: 'A0258020E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855810100',
+      CancelAfter: 464908910,
+      FinishAfter: 464908900,
+      DestinationTag: 2
+    });
+  });
+
+  it('Construct EscrowCreate transaction - invalid condition', function() {
+    assert.throws(function() {
+      new Transaction().escrowCreate({
+        account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+        destination: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+        amount: '10000',
+        condition: 'xyz'
+      });
+    }, /Condition must be a valid hex string/);
+  });
+
+  it('Construct EscrowFinish transaction', function() {
+    const transaction = new Transaction().escrowFinish({
+      account: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      owner: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      offerSequence: 1,
+      condition: 'A0258020E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855810100',
+      fulfillment: 'A0028000'
+    });
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0,
+      TransactionType: 'EscrowFinish',
+      Account: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      Owner: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      OfferSequence: 1,
+      Condition: 'A0258020E3B0C44298FC1C149AFBF4C8996FB92427AE41E4649B934CA495991B7852B855810100',
+      Fulfillment: 'A0028000'
+    });
+  });
+
+  it('Construct EscrowCancel transaction', function() {
+    const transaction = new Transaction().escrowCancel({
+      account: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      owner: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      offerSequence: 1
+    });
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0,
+      TransactionType: 'EscrowCancel',
+      Account: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      Owner: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      OfferSequence: 1
+    });
+  });
+
+  it('Construct PaymentChannelCreate transaction', function() {
+    const transaction = new Transaction().paymentChannelCreate({
+      account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      destination: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      amount: '10000',
+      settleDelay: 86400,
+      publicKey: '02f89eaec7667b30f33d0687bba86c3fe2a08cca40a9186c5bde2daa6fa97a37d8'
+    });
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0,
+      TransactionType: 'PaymentChannelCreate',
+      Account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      Destination: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      Amount: '10000',
+      SettleDelay: 86400,
+      PublicKey: '02F89EAEC7667B30F33D0687BBA86C3FE2A08CCA40A9186C5BDE2DAA6FA97A37D8'
+    });
+  });
+
+  it('Construct PaymentChannelFund transaction', function() {
+    const transaction = new Transaction().paymentChannelFund({
+      account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      channel: 'C1AE6DDDEEC05CF2978C0BAD6FE302948E9533691DC749DCDD3B9E5992CA6198',
+      amount: '10000'
+    });
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0,
+      TransactionType: 'PaymentChannelFund',
+      Account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      Channel: 'C1AE6DDDEEC05CF2978C0BAD6FE302948E9533691DC749DCDD3B9E5992CA6198',
+      Amount: '10000'
+    });
+  });
+
+  it('Construct PaymentChannelClaim transaction', function() {
+    const transaction = new Transaction().paymentChannelClaim({
+      account: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      channel: 'C1AE6DDDEEC05CF2978C0BAD6FE302948E9533691DC749DCDD3B9E5992CA6198',
+      balance: '10000'
+    });
+    transaction.setFlags('Close');
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0x00020000,
+      TransactionType: 'PaymentChannelClaim',
+      Account: 'rpZc4mVfWUif9CRoHRKKcmhu1nx2xktxBo',
+      Channel: 'C1AE6DDDEEC05CF2978C0BAD6FE302948E9533691DC749DCDD3B9E5992CA6198',
+      Balance: '10000'
+    });
+  });
+
+  it('Construct TicketCreate transaction', function() {
+    const transaction = new Transaction().ticketCreate({
+      account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      ticketCount: 2
+    });
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0,
+      TransactionType: 'TicketCreate',
+      Account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      TicketCount: 2
+    });
+  });
+
+  it('Construct TicketCreate transaction - invalid ticketCount', function() {
+    assert.throws(function() {
+      new Transaction().ticketCreate({
+        account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+        ticketCount: 0
+      });
+    }, /TicketCount must be >= 1/);
+  });
+
+  it('Construct TicketCancel transaction', function() {
+    const transaction = new Transaction().ticketCancel({
+      account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      ticketID: '9F14B6A5BCF7F45B2CD3D9D5131D54B4145347D0F1722E32715192CDE7344339'
+    });
+
+    assert(transaction instanceof Transaction);
+    assert.deepEqual(transaction.tx_json, {
+      Flags: 0,
+      TransactionType: 'TicketCancel',
+      Account: 'rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm',
+      TicketID: '9F14B6A5BCF7F45B2CD3D9D5131D54B4145347D0F1722E32715192CDE7344339'
+    });
+  });
+
   it('Construct OfferCreate transaction', function() {
     const bid = '1/USD/rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm';
     const ask = '1/EUR/rsLEU1TPdCJPPysqhWYw9jD97xtG5WqSJm';